@@ -0,0 +1,212 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+
+const main = require("../main.js");
+
+const { Indexer } = main;
+const { createHostThrottle, fetchWithOptionalProxy, runOrderedQueue } = main.__testables;
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test("runOrderedQueue enforces global and per-host limits", async () => {
+        const queue = [
+                "https://a.example/1",
+                "https://a.example/2",
+                "https://a.example/3",
+                "https://b.example/1",
+                "https://c.example/1",
+        ];
+        const activeByHost = new Map();
+        let active = 0;
+        let peak = 0;
+        let peakPerHost = 0;
+
+        await runOrderedQueue(queue, {
+                concurrency: 3,
+                perHostConcurrency: 2,
+                run: async (url) => {
+                        const host = new URL(url).hostname;
+                        active += 1;
+                        activeByHost.set(host, (activeByHost.get(host) || 0) + 1);
+                        peak = Math.max(peak, active);
+                        peakPerHost = Math.max(peakPerHost, activeByHost.get(host));
+                        await delay(10);
+                        active -= 1;
+                        activeByHost.set(host, activeByHost.get(host) - 1);
+                },
+                commit: () => {},
+        });
+
+        assert.equal(peak, 3);
+        assert.equal(peakPerHost, 2);
+});
+
+test("runOrderedQueue commits in queue order and queues committed additions", async () => {
+        const queue = ["https://a.example/slow", "https://b.example/fast"];
+        const committed = [];
+
+        await runOrderedQueue(queue, {
+                concurrency: 4,
+                run: async (url) => {
+                        await delay(url.endsWith("slow") ? 30 : 1);
+                        return url.toUpperCase();
+                },
+                commit: (result, url) => {
+                        committed.push(result);
+
+                        if (!url.includes("/child")) {
+                                queue.push(`${url}/child`);
+                        }
+                },
+        });
+
+        assert.deepEqual(committed, [
+                "HTTPS://A.EXAMPLE/SLOW",
+                "HTTPS://B.EXAMPLE/FAST",
+                "HTTPS://A.EXAMPLE/SLOW/CHILD",
+                "HTTPS://B.EXAMPLE/FAST/CHILD",
+        ]);
+});
+
+test("runOrderedQueue rejects with the first failure", async () => {
+        await assert.rejects(
+                runOrderedQueue(["https://a.example/", "https://b.example/"], {
+                        concurrency: 2,
+                        run: async (url) => {
+                                if (url.includes("b.example")) {
+                                        throw new Error("boom");
+                                }
+                        },
+                        commit: () => {},
+                }),
+                /boom/
+        );
+});
+
+test("createHostThrottle spaces out requests to the same host only", async () => {
+        const throttle = createHostThrottle(40);
+        const startedAt = Date.now();
+        const times = {};
+
+        await Promise.all(
+                ["a.example", "a.example", "b.example"].map(async (host, index) => {
+                        await throttle.wait(host);
+                        times[`${host}#${index}`] = Date.now() - startedAt;
+                })
+        );
+
+        assert.ok(times["a.example#0"] < 20);
+        assert.ok(times["b.example#2"] < 20);
+        assert.ok(times["a.example#1"] >= 35, `second request ran after ${times["a.example#1"]} ms`);
+});
+
+test("createHostThrottle stops waiting once the signal is aborted", async () => {
+        const throttle = createHostThrottle(20000);
+        const controller = new AbortController();
+
+        await throttle.wait("a.example", controller.signal);
+        setTimeout(() => controller.abort(), 10);
+
+        await assert.rejects(throttle.wait("a.example", controller.signal), { name: "AbortError" });
+});
+
+test("Indexer logs in once before any parallel page request and keeps the URL order", async () => {
+        const requests = [];
+        const server = http.createServer(async (request, response) => {
+                requests.push(request.url);
+
+                if (request.url === "/login") {
+                        await delay(30);
+                        response.writeHead(200, { "Set-Cookie": "session=ok; Path=/", "Content-Type": "application/json" });
+                        response.end("{}");
+                        return;
+                }
+
+                await delay(request.url === "/one.m3u" ? 30 : 1);
+                const loggedIn = /session=ok/.test(request.headers.cookie || "");
+                response.writeHead(200, { "Content-Type": "audio/x-mpegurl" });
+                response.end(`#EXTM3U\n#EXTINF:-1,${request.url.slice(1)} ${loggedIn}\nhttps://cdn.example.com${request.url}8\n`);
+        });
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+        const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+        try {
+                const result = await new Indexer({
+                        scraper: {
+                                urls: ["one", "two", "three"].map((name) => `${baseUrl}/${name}.m3u`),
+                                loginUrl: `${baseUrl}/login`,
+                                loginUsername: "viewer",
+                                loginPassword: "secret",
+                                concurrency: 3,
+                                perHostConcurrency: 3,
+                        },
+                }).run();
+
+                assert.equal(requests.filter((url) => url === "/login").length, 1);
+                assert.equal(requests[0], "/login");
+                assert.deepEqual(
+                        result.channels.map((channel) => channel.name),
+                        ["one.m3u true", "two.m3u true", "three.m3u true"]
+                );
+        } finally {
+                await new Promise((resolve) => server.close(resolve));
+        }
+});
+
+test("fetchWithOptionalProxy takes a throttle slot for every retry attempt", async () => {
+        const arrivals = [];
+        const server = http.createServer((request, response) => {
+                arrivals.push(Date.now());
+                response.writeHead(arrivals.length < 3 ? 503 : 200, { "Content-Type": "text/plain" });
+                response.end("ok");
+        });
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+        try {
+                const response = await fetchWithOptionalProxy(`http://127.0.0.1:${server.address().port}/`, {
+                        requestPolicy: { retries: 2, retryBaseDelayMs: 0, retryMaxDelayMs: 0 },
+                        hostThrottle: createHostThrottle(60),
+                });
+
+                assert.equal(response.statusCode, 200);
+                assert.equal(arrivals.length, 3);
+                assert.ok(arrivals[1] - arrivals[0] >= 50, `first retry after ${arrivals[1] - arrivals[0]} ms`);
+                assert.ok(arrivals[2] - arrivals[1] >= 50, `second retry after ${arrivals[2] - arrivals[1]} ms`);
+        } finally {
+                await new Promise((resolve) => server.close(resolve));
+        }
+});
+
+test("Indexer writes each URL's log lines together even when the pages load in parallel", async () => {
+        const server = http.createServer(async (request, response) => {
+                await delay(request.url === "/slow.m3u" ? 40 : 1);
+                response.writeHead(200, { "Content-Type": "audio/x-mpegurl" });
+                response.end(`#EXTM3U\n#EXTINF:-1,${request.url.slice(1)}\nhttps://cdn.example.com${request.url}8\n`);
+        });
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+        const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+        try {
+                const indexer = new Indexer({
+                        scraper: { urls: [`${baseUrl}/slow.m3u`, `${baseUrl}/fast.m3u`], concurrency: 2, perHostConcurrency: 2 },
+                });
+                const lines = [];
+                indexer.on("log", ({ message }) => {
+                        if (/Processing:|Imported \d+ stream link/.test(message)) {
+                                lines.push(message.trim());
+                        }
+                });
+
+                await indexer.run();
+
+                assert.deepEqual(lines, [
+                        `Processing: ${baseUrl}/slow.m3u`,
+                        "Imported 1 stream link(s) from M3U playlist.",
+                        `Processing: ${baseUrl}/fast.m3u`,
+                        "Imported 1 stream link(s) from M3U playlist.",
+                ]);
+        } finally {
+                await new Promise((resolve) => server.close(resolve));
+        }
+});
@@ -0,0 +1,73 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const main = require("../main.js");
+
+const { createCookieJar } = main.__testables;
+
+test("createCookieJar scopes host-only and domain cookies like a browser", () => {
+        const jar = createCookieJar();
+
+        jar.loadFromSetCookie("hostOnly=1; Path=/", "https://www.example.com/login");
+        jar.loadFromSetCookie("shared=2; Domain=.example.com; Path=/", "https://www.example.com/login");
+        jar.loadFromSetCookie("foreign=3; Domain=other.com", "https://www.example.com/login");
+
+        assert.equal(jar.getCookieHeader("https://www.example.com/"), "hostOnly=1; shared=2");
+        assert.equal(jar.getCookieHeader("https://api.example.com/"), "shared=2");
+        assert.equal(jar.getCookieHeader("https://other.com/"), "");
+});
+
+test("createCookieJar rejects cookies scoped to a public suffix", () => {
+        const jar = createCookieJar();
+
+        jar.loadFromSetCookie("tld=1; Domain=com", "https://www.example.com/");
+        jar.loadFromSetCookie("registry=2; Domain=.co.uk", "https://shop.example.co.uk/");
+        jar.loadFromSetCookie("site=3; Domain=example.co.uk", "https://shop.example.co.uk/");
+
+        assert.equal(jar.getCookieHeader("https://other.com/"), "");
+        assert.equal(jar.getCookieHeader("https://other.co.uk/"), "");
+        assert.equal(jar.getCookieHeader("https://www.example.co.uk/"), "site=3");
+});
+
+test("createCookieJar applies default and explicit paths", () => {
+        const jar = createCookieJar();
+
+        jar.loadFromSetCookie("defaultPath=a", "https://example.com/account/login");
+        jar.loadFromSetCookie("apiOnly=b; Path=/api", "https://example.com/account/login");
+        jar.loadFromSetCookie("root=c; Path=/", "https://example.com/account/login");
+
+        assert.equal(jar.getCookieHeader("https://example.com/account/profile"), "defaultPath=a; root=c");
+        assert.equal(jar.getCookieHeader("https://example.com/api/channels"), "apiOnly=b; root=c");
+        assert.equal(jar.getCookieHeader("https://example.com/apichannels"), "root=c");
+});
+
+test("createCookieJar drops expired and deleted cookies", () => {
+        let now = Date.UTC(2025, 0, 1);
+        const jar = createCookieJar([], { now: () => now });
+
+        jar.loadFromSetCookie("session=abc; Max-Age=60", "https://example.com/");
+        jar.loadFromSetCookie("legacy=old; Expires=Wed, 01-Jan-2020 00:00:00 GMT", "https://example.com/");
+        jar.loadFromSetCookie("remember=yes", "https://example.com/");
+
+        assert.equal(jar.getCookieHeader("https://example.com/"), "session=abc; remember=yes");
+
+        jar.loadFromSetCookie("remember=; Max-Age=0", "https://example.com/");
+        assert.equal(jar.getCookieHeader("https://example.com/"), "session=abc");
+
+        now += 61 * 1000;
+        assert.equal(jar.getCookieHeader("https://example.com/"), "");
+});
+
+test("createCookieJar only sends Secure cookies over HTTPS and keeps attributes", () => {
+        const jar = createCookieJar([{ name: "global", value: "1" }]);
+
+        jar.loadFromSetCookie("token=t; Secure; HttpOnly; SameSite=Lax", "https://example.com/");
+
+        assert.equal(jar.getCookieHeader("http://example.com/"), "global=1");
+        assert.equal(jar.getCookieHeader("https://example.com/"), "global=1; token=t");
+
+        const [token] = jar.getCookies("https://example.com/").filter((cookie) => cookie.name === "token");
+        assert.equal(token.httpOnly, true);
+        assert.equal(token.sameSite, "Lax");
+        assert.equal(token.hostOnly, true);
+});
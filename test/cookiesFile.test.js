@@ -0,0 +1,77 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const main = require("../main.js");
+
+const { createCookieJar, parseCookiesFileContent } = main.__testables;
+
+const farFuture = Math.floor(Date.UTC(2099, 0, 1) / 1000);
+
+test("parseCookiesFileContent reads Netscape cookies.txt including #HttpOnly_ lines", () => {
+        const content = [
+                "# Netscape HTTP Cookie File",
+                "",
+                `.example.com\tTRUE\t/\tTRUE\t${farFuture}\tshared\tone`,
+                `#HttpOnly_portal.example.com\tFALSE\t/api\tFALSE\t0\tsid\ttwo`,
+                "broken line",
+        ].join("\n");
+
+        const result = parseCookiesFileContent(content);
+
+        assert.equal(result.format, "netscape");
+        assert.equal(result.errors.length, 1);
+        assert.deepEqual(result.cookies[0], {
+                name: "shared",
+                value: "one",
+                domain: ".example.com",
+                hostOnly: false,
+                path: "/",
+                secure: true,
+                httpOnly: false,
+                expires: farFuture * 1000,
+        });
+        assert.equal(result.cookies[1].hostOnly, true);
+        assert.equal(result.cookies[1].httpOnly, true);
+        assert.equal(result.cookies[1].expires, null);
+
+        const jar = createCookieJar(result.cookies);
+        assert.equal(jar.getCookieHeader("https://portal.example.com/api/list"), "sid=two; shared=one");
+        assert.equal(jar.getCookieHeader("http://cdn.example.com/"), "");
+        assert.equal(jar.getCookieHeader("https://cdn.example.com/"), "shared=one");
+});
+
+test("parseCookiesFileContent reads browser-exported JSON arrays and storage state objects", () => {
+        const exported = JSON.stringify([
+                {
+                        domain: "portal.example.com",
+                        hostOnly: true,
+                        name: "sid",
+                        path: "/",
+                        secure: false,
+                        httpOnly: true,
+                        sameSite: "lax",
+                        session: false,
+                        expirationDate: farFuture + 0.5,
+                        value: "abc",
+                },
+                { domain: ".example.com", name: "pref", value: "dark", session: true, sameSite: "unspecified" },
+        ]);
+
+        const result = parseCookiesFileContent(exported);
+
+        assert.equal(result.format, "json");
+        assert.deepEqual(result.errors, []);
+        assert.equal(result.cookies[0].expires, Math.round((farFuture + 0.5) * 1000));
+        assert.equal(result.cookies[0].sameSite, "lax");
+        assert.equal(result.cookies[1].hostOnly, false);
+        assert.equal(result.cookies[1].expires, null);
+        assert.equal(result.cookies[1].sameSite, null);
+
+        const storageState = parseCookiesFileContent(
+                JSON.stringify({ cookies: [{ name: "token", value: "t", domain: "api.example.com", path: "/", expires: -1 }] })
+        );
+
+        assert.equal(storageState.cookies.length, 1);
+        assert.equal(storageState.cookies[0].expires, null);
+        assert.match(parseCookiesFileContent("{ nope").errors[0], /Invalid cookie JSON/);
+});
@@ -0,0 +1,125 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const main = require("../main.js");
+
+const { applyDashProbeResult, parseDashManifest } = main.__testables;
+
+// PlayReady Object whose WRM header carries https://pr.example.com/rightsmanager.asmx?cfg=a&b=1 as LA_URL.
+const playReadyObject =
+        "iAEAAAEAAQB+ATwAVwBSAE0ASABFAEEARABFAFIAIAB4AG0AbABuAHMAPQAiAGgAdAB0AHAAOgAvAC8AcwBjAGgAZQBtAGEAcwAuAG0AaQBjAHIAbwBzAG8AZgB0AC4AYwBvAG0ALwBEAFIATQAvADIAMAAwADcALwAwADMALwBQAGwAYQB5AFIAZQBhAGQAeQBIAGUAYQBkAGUAcgAiACAAdgBlAHIAcwBpAG8AbgA9ACIANAAuADAALgAwAC4AMAAiAD4APABEAEEAVABBAD4APABMAEEAXwBVAFIATAA+AGgAdAB0AHAAcwA6AC8ALwBwAHIALgBlAHgAYQBtAHAAbABlAC4AYwBvAG0ALwByAGkAZwBoAHQAcwBtAGEAbgBhAGcAZQByAC4AYQBzAG0AeAA/AGMAZgBnAD0AYQAmAGEAbQBwADsAYgA9ADEAPAAvAEwAQQBfAFUAUgBMAD4APAAvAEQAQQBUAEEAPgA8AC8AVwBSAE0ASABFAEEARABFAFIAPgA=";
+
+const protectedMpd = `<?xml version="1.0" encoding="UTF-8"?>
+<MPD xmlns="urn:mpeg:dash:schema:mpd:2011" xmlns:cenc="urn:mpeg:cenc:2013" xmlns:mspr="urn:microsoft:playready"
+     xmlns:dashif="https://dashif.org/CPS" type="dynamic" minimumUpdatePeriod="PT2S">
+  <Period id="1" start="PT0S">
+    <AdaptationSet mimeType="video/mp4" codecs="avc1.640028" frameRate="30000/1001" segmentAlignment="true">
+      <ContentProtection schemeIdUri="urn:mpeg:dash:mp4protection:2011" value="cenc" cenc:default_KID="10000000-1000-1000-1000-100000000001"/>
+      <ContentProtection schemeIdUri="urn:uuid:EDEF8BA9-79D6-4ACE-A3C8-27DCD51D21ED">
+        <dashif:Laurl>https://wv.example.com/license?asset=arena</dashif:Laurl>
+      </ContentProtection>
+      <ContentProtection schemeIdUri="urn:uuid:9a04f079-9840-4286-ab92-e65be0885f95">
+        <mspr:pro>${playReadyObject}</mspr:pro>
+      </ContentProtection>
+      <Representation id="v1" bandwidth="1500000" width="1280" height="720"/>
+      <Representation id="v2" bandwidth="5000000" width="1920" height="1080" codecs="avc1.64002a">
+        <SegmentTemplate media="v2/$Number$.m4s"/>
+      </Representation>
+    </AdaptationSet>
+    <AdaptationSet contentType="audio" mimeType="audio/mp4" lang="en">
+      <Representation id="a1" bandwidth="128000" codecs="mp4a.40.2"/>
+    </AdaptationSet>
+  </Period>
+</MPD>`;
+
+test("parseDashManifest records representations, live state and DRM systems", () => {
+        const manifest = parseDashManifest(protectedMpd);
+
+        assert.equal(manifest.format, "dash");
+        assert.equal(manifest.live, true);
+        assert.deepEqual(manifest.representations, [
+                {
+                        bandwidth: 1500000,
+                        id: "v1",
+                        type: "video",
+                        width: 1280,
+                        height: 720,
+                        quality: "HD",
+                        codecs: ["avc1.640028"],
+                        frameRate: 29.97,
+                },
+                {
+                        bandwidth: 5000000,
+                        id: "v2",
+                        type: "video",
+                        width: 1920,
+                        height: 1080,
+                        quality: "FHD",
+                        codecs: ["avc1.64002a"],
+                        frameRate: 29.97,
+                },
+                { bandwidth: 128000, id: "a1", type: "audio", codecs: ["mp4a.40.2"], language: "en" },
+        ]);
+        assert.deepEqual(manifest.drm, {
+                systems: ["widevine", "playready"],
+                licenseUrls: {
+                        widevine: "https://wv.example.com/license?asset=arena",
+                        playready: "https://pr.example.com/rightsmanager.asmx?cfg=a&b=1",
+                },
+        });
+});
+
+test("parseDashManifest treats clear static MPDs as unprotected on-demand streams", () => {
+        const manifest = parseDashManifest(
+                '<MPD type="static"><Period><AdaptationSet mimeType="video/mp4"><Representation bandwidth="800000" width="640" height="360"/></AdaptationSet></Period></MPD>'
+        );
+
+        assert.equal(manifest.live, false);
+        assert.equal(manifest.drm, null);
+        assert.equal(parseDashManifest("<html></html>"), null);
+});
+
+test("parseDashManifest flags common encryption without a named DRM system as protected", () => {
+        const mp4Protection = parseDashManifest(`<MPD type="static"><Period><AdaptationSet mimeType="video/mp4">
+  <ContentProtection schemeIdUri="urn:mpeg:dash:mp4protection:2011" value="cenc"/>
+  <Representation bandwidth="800000" width="640" height="360"/>
+</AdaptationSet></Period></MPD>`);
+        const defaultKidOnly = parseDashManifest(`<MPD xmlns:cenc="urn:mpeg:cenc:2013" type="static"><Period>
+  <AdaptationSet mimeType="video/mp4" cenc:default_KID="10000000-1000-1000-1000-100000000001">
+    <Representation bandwidth="800000" width="640" height="360"/>
+  </AdaptationSet>
+</Period></MPD>`);
+
+        assert.deepEqual(mp4Protection.drm, { systems: ["unknown"] });
+        assert.deepEqual(defaultKidOnly.drm, { systems: ["unknown"] });
+        assert.ok(
+                applyDashProbeResult({ name: "Encrypted", url: "https://cdn.example.com/enc.mpd" }, mp4Protection).drm,
+                "--exclude-drm leaves the stream out of the M3U"
+        );
+});
+
+test("parseDashManifest reads Smooth Streaming manifests and their PlayReady header", () => {
+        const manifest = parseDashManifest(`<SmoothStreamingMedia MajorVersion="2" MinorVersion="2" IsLive="TRUE">
+  <Protection><ProtectionHeader SystemID="9A04F079-9840-4286-AB92-E65BE0885F95">${playReadyObject}</ProtectionHeader></Protection>
+  <StreamIndex Type="video"><QualityLevel Bitrate="3000000" MaxWidth="1280" MaxHeight="720" FourCC="H264"/></StreamIndex>
+</SmoothStreamingMedia>`);
+
+        assert.equal(manifest.format, "smooth");
+        assert.equal(manifest.live, true);
+        assert.deepEqual(manifest.representations, [
+                { bandwidth: 3000000, type: "video", width: 1280, height: 720, quality: "HD", codecs: ["H264"] },
+        ]);
+        assert.deepEqual(manifest.drm.systems, ["playready"]);
+});
+
+test("applyDashProbeResult flags DRM and the best video quality on the link", () => {
+        const link = applyDashProbeResult(
+                { name: "Arena", url: "https://cdn.example.com/arena/manifest.mpd" },
+                parseDashManifest(protectedMpd)
+        );
+
+        assert.equal(link.live, true);
+        assert.equal(link.quality, "FHD");
+        assert.deepEqual(link.drm.systems, ["widevine", "playready"]);
+        assert.equal(link.dash.representations.length, 3);
+});
@@ -0,0 +1,44 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const main = require("../main.js");
+
+const { decodeDevaluePayload } = main.__testables;
+
+test("decodeDevaluePayload rebuilds shared and cyclic references", () => {
+        const decoded = decodeDevaluePayload([
+                { self: 0, list: 1, shared: 2, again: 2 },
+                [2, -1, -3],
+                { label: 3 },
+                "shared value",
+        ]);
+
+        assert.equal(decoded.self, decoded);
+        assert.equal(decoded.shared, decoded.again);
+        assert.equal(decoded.list[0], decoded.shared);
+        assert.equal(decoded.list[1], undefined);
+        assert.ok(Number.isNaN(decoded.list[2]));
+        assert.equal(decoded.shared.label, "shared value");
+});
+
+test("decodeDevaluePayload unwraps Nuxt reducers and devalue built-ins", () => {
+        const decoded = decodeDevaluePayload([
+                ["ShallowReactive", 1],
+                { ref: 2, when: 4, tags: 5, lookup: 6, bare: 7 },
+                ["EmptyShallowRef", 3],
+                "_",
+                ["Date", "2025-10-21T16:32:33.000Z"],
+                ["Set", 3],
+                ["Map", 3, 8],
+                ["null", "key", 8],
+                "value",
+        ]);
+
+        assert.deepEqual(decoded, {
+                ref: "_",
+                when: "2025-10-21T16:32:33.000Z",
+                tags: ["_"],
+                lookup: { _: "value" },
+                bare: { key: "value" },
+        });
+});
@@ -0,0 +1,141 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const main = require("../main.js");
+
+const { extractLinksDataFromScript } = main;
+const { assignEpgChannelIds, buildEpgGuide, buildXmltvDocument, parseEpgTimestamp, parseXmltvDocument } =
+        main.__testables;
+
+const nextData = JSON.stringify({
+        props: {
+                pageProps: {
+                        channels: [
+                                {
+                                        name: "Arena 1",
+                                        logo: "https://img.example.com/arena-1.png",
+                                        streamUrl: "https://cdn.example.com/live/arena-1/index.m3u8",
+                                        schedule: [
+                                                {
+                                                        title: "Morning Session",
+                                                        startTime: "2026-03-01T09:00:00Z",
+                                                        endTime: "2026-03-01T11:30:00Z",
+                                                        description: "Qualifying & practice",
+                                                },
+                                                { title: "Broken entry", startTime: "2026-03-01T12:00:00Z" },
+                                                { title: "Evening Final", start: 1772391600, end: 1772398800, genre: "Tennis" },
+                                        ],
+                                },
+                        ],
+                },
+        },
+        buildId: "epg",
+});
+
+test("parseEpgTimestamp understands ISO strings, Unix seconds and XMLTV offsets", () => {
+        const expected = Date.UTC(2026, 2, 1, 9, 0, 0);
+
+        assert.equal(parseEpgTimestamp("2026-03-01T09:00:00Z"), expected);
+        assert.equal(parseEpgTimestamp(expected / 1000), expected);
+        assert.equal(parseEpgTimestamp(String(expected)), expected);
+        assert.equal(parseEpgTimestamp("20260301100000 +0100"), expected);
+        assert.equal(parseEpgTimestamp("not a date"), null);
+});
+
+test("schedules next to playback URLs are attached to the extracted channel", () => {
+        const [link] = extractLinksDataFromScript(nextData).links;
+
+        assert.deepEqual(link.programmes, [
+                {
+                        start: Date.UTC(2026, 2, 1, 9, 0, 0),
+                        stop: Date.UTC(2026, 2, 1, 11, 30, 0),
+                        title: "Morning Session",
+                        description: "Qualifying & practice",
+                },
+                {
+                        start: Date.UTC(2026, 2, 1, 19, 0, 0),
+                        stop: Date.UTC(2026, 2, 1, 21, 0, 0),
+                        title: "Evening Final",
+                        category: "Tennis",
+                },
+        ]);
+});
+
+test("buildEpgGuide merges external XMLTV channels re-mapped to playlist tvg-ids", () => {
+        const links = [
+                ...extractLinksDataFromScript(nextData).links,
+                { name: "News 24", url: "https://cdn.example.com/live/news/index.m3u8", tvgId: "news24.example" },
+                { name: "Movies", url: "https://cdn.example.com/live/movies/index.m3u8" },
+        ];
+        assignEpgChannelIds(links);
+
+        const external = parseXmltvDocument(`<?xml version="1.0"?>
+<tv>
+  <channel id="N24.uk"><display-name>News 24 UK</display-name><icon src="https://epg.example.org/n24.png"/></channel>
+  <channel id="movies.uk"><display-name>MOVIES</display-name></channel>
+  <channel id="arena1.uk"><display-name>Arena 1</display-name></channel>
+  <channel id="other.uk"><display-name>Other</display-name></channel>
+  <programme start="20260301080000 +0000" stop="20260301090000 +0000" channel="N24.uk">
+    <title lang="en">Headlines</title><episode-num system="onscreen">E12</episode-num>
+  </programme>
+  <programme start="20260301200000 +0100" channel="movies.uk"><title>Feature</title></programme>
+  <programme start="20260301090000 +0000" stop="20260301100000 +0000" channel="arena1.uk"><title>Ignored</title></programme>
+  <programme start="20260301090000 +0000" stop="20260301100000 +0000" channel="other.uk"><title>Other</title></programme>
+</tv>`);
+
+        const guide = buildEpgGuide(links, [external], { channelMap: { "N24.uk": "news24.example" } });
+
+        assert.equal(links[0].tvgId, "arena-1");
+        assert.equal(links[2].tvgId, undefined, "channels without a schedule keep the playlist unchanged");
+        assert.deepEqual(
+                guide.channels.map((channel) => channel.id),
+                ["arena-1", "news24.example"]
+        );
+        assert.equal(guide.channels[1].icon, "https://epg.example.org/n24.png");
+        assert.deepEqual(
+                guide.programmes.map((programme) => [programme.channel, programme.title || programme.body]),
+                [
+                        ["arena-1", "Morning Session"],
+                        ["arena-1", "Evening Final"],
+                        [
+                                "news24.example",
+                                '<title lang="en">Headlines</title><episode-num system="onscreen">E12</episode-num>',
+                        ],
+                ]
+        );
+        assert.equal(guide.unmatchedChannels, 2);
+});
+
+test("buildXmltvDocument escapes text and writes UTC timestamps", () => {
+        const xml = buildXmltvDocument({
+                channels: [{ id: "arena-1", displayNames: ["Arena <1>"], icon: "https://img.example.com/a.png?x=1&y=2" }],
+                programmes: [
+                        {
+                                channel: "arena-1",
+                                start: Date.UTC(2026, 2, 1, 9, 0, 0),
+                                stop: Date.UTC(2026, 2, 1, 11, 30, 0),
+                                title: "Q&A",
+                                description: "Live",
+                        },
+                ],
+        });
+
+        assert.equal(
+                xml,
+                [
+                        '<?xml version="1.0" encoding="UTF-8"?>',
+                        '<!DOCTYPE tv SYSTEM "xmltv.dtd">',
+                        '<tv generator-info-name="IPTV_Indexer">',
+                        '  <channel id="arena-1">',
+                        "    <display-name>Arena &lt;1&gt;</display-name>",
+                        '    <icon src="https://img.example.com/a.png?x=1&amp;y=2" />',
+                        "  </channel>",
+                        '  <programme start="20260301090000 +0000" stop="20260301113000 +0000" channel="arena-1">',
+                        "    <title>Q&amp;A</title>",
+                        "    <desc>Live</desc>",
+                        "  </programme>",
+                        "</tv>",
+                        "",
+                ].join("\n")
+        );
+});
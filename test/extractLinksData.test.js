@@ -96,6 +96,70 @@ test("extractLinksDataFromScript parses __NUXT_DATA__ JSON payloads", async () =
         );
 });
 
+test("extractLinksDataFromScript decodes devalue-serialized Nuxt 3 payloads", async () => {
+        const html = readFixture("nuxt3_devalue_payload.html");
+        const scripts = await extractLinksDataScripts(html);
+
+        assert.equal(scripts.length, 1, "expected the Nuxt 3 payload script to be detected");
+
+        const linksData = extractLinksDataFromScript(scripts[0].content);
+
+        assert.ok(linksData, "expected the devalue payload to produce channel data");
+        assert.deepEqual(linksData.links, [
+                {
+                        name: "Tennis Channel Plus 1",
+                        url: "https://plus-live.tennischannel.example.com/live/plus-1/master.m3u8?hdnea=token-one",
+                },
+                {
+                        name: "Tennis Channel Plus 2",
+                        url: "https://plus-live.tennischannel.example.com/live/plus-2/master.m3u8?hdnea=token-two",
+                },
+                {
+                        name: "Tennis Channel Extra",
+                        url: "https://plus-live.tennischannel.example.com/live/extra/master.m3u8?hdnea=token-extra",
+                },
+        ]);
+});
+
+test("extractLinksDataFromScript parses Next.js __NEXT_DATA__ page props", async () => {
+        const html = readFixture("nextjs_pages_data.html");
+        const scripts = await extractLinksDataScripts(html);
+
+        assert.equal(scripts.length, 1, "expected the __NEXT_DATA__ script to be detected");
+
+        const linksData = extractLinksDataFromScript(scripts[0].content);
+
+        assert.deepEqual(linksData.links, [
+                {
+                        name: "Next Sports 1",
+                        url: "https://cdn.next.example.com/live/sports-1/index.m3u8",
+                        logo: "https://cdn.next.example.com/logos/sports-1.png",
+                },
+                { name: "Next Sports 2", url: "https://cdn.next.example.com/live/sports-2/index.m3u8" },
+        ]);
+});
+
+test("extractLinksDataScripts reassembles Next.js flight chunks split across scripts", async () => {
+        const html = readFixture("nextjs_app_router_flight.html");
+        const scripts = await extractLinksDataScripts(html);
+
+        assert.equal(scripts.length, 1, "expected the flight chunks to be merged into one script");
+        assert.equal(scripts[0].index, 0);
+
+        const linksData = extractLinksDataFromScript(scripts[0].content);
+
+        assert.deepEqual(linksData.links, [
+                {
+                        name: "Tennis Channel Plus 1",
+                        url: "https://plus-live.tennischannel.example.com/live/plus-1/master.m3u8?hdnea=token-one",
+                },
+                {
+                        name: "Tennis Channel Plus 2",
+                        url: "https://plus-live.tennischannel.example.com/live/plus-2/master.m3u8?hdnea=token-two",
+                },
+        ]);
+});
+
 test("extractLinksDataScripts detects inline JSON blocks with stream URLs", async () => {
         const html = readFixture("tennischannel_pluslive_streamblock.html");
         const scripts = await extractLinksDataScripts(html);
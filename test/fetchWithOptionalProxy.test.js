@@ -0,0 +1,258 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+
+const main = require("../main.js");
+
+const { createCookieJar, fetchWithOptionalProxy, resolveLoginRequestPolicy, resolveRequestPolicy } = main.__testables;
+
+function collectBody(request) {
+        return new Promise((resolve) => {
+                const chunks = [];
+                request.on("data", (chunk) => chunks.push(chunk));
+                request.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+        });
+}
+
+async function withServer(handler, run) {
+        const server = http.createServer(handler);
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+        const { port } = server.address();
+
+        try {
+                await run(`http://127.0.0.1:${port}`);
+        } finally {
+                await new Promise((resolve) => server.close(resolve));
+        }
+}
+
+test("fetchWithOptionalProxy follows relative redirects and records the final URL", async () => {
+        const seenCookies = [];
+
+        await withServer(
+                (request, response) => {
+                        seenCookies.push(request.headers.cookie || "");
+
+                        if (request.url === "/start") {
+                                response.writeHead(302, {
+                                        Location: "region/home",
+                                        "Set-Cookie": "region=us; Path=/",
+                                });
+                                response.end();
+                                return;
+                        }
+
+                        response.writeHead(200, { "Content-Type": "text/plain" });
+                        response.end("landed");
+                },
+                async (baseUrl) => {
+                        const cookieJar = createCookieJar();
+                        const response = await fetchWithOptionalProxy(`${baseUrl}/start`, { cookieJar });
+
+                        assert.equal(response.statusCode, 200);
+                        assert.equal(response.body, "landed");
+                        assert.equal(response.url, `${baseUrl}/region/home`);
+                        assert.equal(response.redirects.length, 1);
+                        assert.deepEqual(seenCookies, ["", "region=us"]);
+                }
+        );
+});
+
+test("fetchWithOptionalProxy switches to GET on 303 and keeps the body on 307", async () => {
+        const requests = [];
+
+        await withServer(
+                async (request, response) => {
+                        const body = await collectBody(request);
+                        requests.push({ method: request.method, url: request.url, body });
+
+                        if (request.url === "/see-other") {
+                                response.writeHead(303, { Location: "/done" });
+                                response.end();
+                                return;
+                        }
+
+                        if (request.url === "/temporary") {
+                                response.writeHead(307, { Location: "/done" });
+                                response.end();
+                                return;
+                        }
+
+                        response.writeHead(200);
+                        response.end("ok");
+                },
+                async (baseUrl) => {
+                        await fetchWithOptionalProxy(`${baseUrl}/see-other`, { method: "POST", body: "a=1" });
+                        await fetchWithOptionalProxy(`${baseUrl}/temporary`, { method: "POST", body: "b=2" });
+
+                        assert.deepEqual(requests, [
+                                { method: "POST", url: "/see-other", body: "a=1" },
+                                { method: "GET", url: "/done", body: "" },
+                                { method: "POST", url: "/temporary", body: "b=2" },
+                                { method: "POST", url: "/done", body: "b=2" },
+                        ]);
+                }
+        );
+});
+
+test("fetchWithOptionalProxy drops Authorization and Cookie headers on cross-origin redirects", async () => {
+        const seen = [];
+
+        await withServer(
+                (request, response) => {
+                        seen.push({ authorization: request.headers.authorization, cookie: request.headers.cookie });
+                        response.writeHead(200);
+                        response.end("foreign");
+                },
+                async (foreignUrl) => {
+                        await withServer(
+                                (request, response) => {
+                                        seen.push({ authorization: request.headers.authorization, cookie: request.headers.cookie });
+                                        response.writeHead(302, { Location: `${foreignUrl}/landing` });
+                                        response.end();
+                                },
+                                async (baseUrl) => {
+                                        const response = await fetchWithOptionalProxy(`${baseUrl}/start`, {
+                                                headers: { Authorization: "Bearer secret", Cookie: "session=secret" },
+                                        });
+
+                                        assert.equal(response.body, "foreign");
+                                }
+                        );
+                }
+        );
+
+        assert.deepEqual(seen, [
+                { authorization: "Bearer secret", cookie: "session=secret" },
+                { authorization: undefined, cookie: undefined },
+        ]);
+});
+
+test("fetchWithOptionalProxy re-applies session tokens only to token hosts after a cross-origin redirect", async () => {
+        const seen = [];
+        const foreign = http.createServer((request, response) => {
+                seen.push({ host: "foreign", url: request.url, key: request.headers["x-api-key"] });
+                response.writeHead(200);
+                response.end("ok");
+        });
+        await new Promise((resolve) => foreign.listen(0, resolve));
+        const foreignPort = foreign.address().port;
+
+        try {
+                await withServer(
+                        (request, response) => {
+                                seen.push({ host: "site", url: request.url, key: request.headers["x-api-key"] });
+                                response.writeHead(302, { Location: `http://localhost:${foreignPort}/landing` });
+                                response.end();
+                        },
+                        async (baseUrl) => {
+                                const tokens = [
+                                        { as: "header", name: "X-Api-Key", value: "k1" },
+                                        { as: "query", name: "token", value: "q1" },
+                                ];
+
+                                await fetchWithOptionalProxy(`${baseUrl}/start?token=q1`, {
+                                        headers: { "X-Api-Key": "k1" },
+                                        tokens,
+                                        tokenHosts: ["127.0.0.1"],
+                                });
+                                await fetchWithOptionalProxy(`${baseUrl}/start?token=q1`, {
+                                        headers: { "X-Api-Key": "k1" },
+                                        tokens,
+                                        tokenHosts: ["127.0.0.1", "localhost"],
+                                });
+                        }
+                );
+        } finally {
+                await new Promise((resolve) => foreign.close(resolve));
+        }
+
+        assert.deepEqual(seen, [
+                { host: "site", url: "/start?token=q1", key: "k1" },
+                { host: "foreign", url: "/landing", key: undefined },
+                { host: "site", url: "/start?token=q1", key: "k1" },
+                { host: "foreign", url: "/landing?token=q1", key: "k1" },
+        ]);
+});
+
+test("fetchWithOptionalProxy stops after the configured number of hops", async () => {
+        await withServer(
+                (request, response) => {
+                        response.writeHead(301, { Location: "/loop" });
+                        response.end();
+                },
+                async (baseUrl) => {
+                        const response = await fetchWithOptionalProxy(`${baseUrl}/loop`, { maxRedirects: 2 });
+
+                        assert.equal(response.statusCode, 301);
+                        assert.equal(response.redirects.length, 2);
+                }
+        );
+});
+
+test("fetchWithOptionalProxy retries 503 responses and honours Retry-After", async () => {
+        let attempts = 0;
+
+        await withServer(
+                (request, response) => {
+                        attempts += 1;
+
+                        if (attempts < 3) {
+                                response.writeHead(503, { "Retry-After": "0" });
+                                response.end();
+                                return;
+                        }
+
+                        response.writeHead(200);
+                        response.end("recovered");
+                },
+                async (baseUrl) => {
+                        const response = await fetchWithOptionalProxy(`${baseUrl}/flaky`, {
+                                requestPolicy: { retries: 2 },
+                        });
+
+                        assert.equal(response.statusCode, 200);
+                        assert.equal(response.body, "recovered");
+                        assert.equal(attempts, 3);
+                }
+        );
+});
+
+test("fetchWithOptionalProxy aborts stalled responses with an idle timeout", async () => {
+        await withServer(
+                (request, response) => {
+                        response.writeHead(200);
+                        response.write("partial");
+                },
+                async (baseUrl) => {
+                        await assert.rejects(
+                                fetchWithOptionalProxy(`${baseUrl}/stall`, {
+                                        requestPolicy: { idleTimeoutMs: 100, retries: 0 },
+                                }),
+                                (error) => error.code === "ESOCKETTIMEDOUT" && error.timeoutKind === "idle"
+                        );
+                }
+        );
+});
+
+test("resolveRequestPolicy layers global, per-kind and per-site settings", () => {
+        const globalPolicy = { retries: 3, script: { timeoutMs: 5000 } };
+        const sitePolicy = { connectTimeoutMs: 2000, page: { retries: 5 } };
+
+        const page = resolveRequestPolicy("page", globalPolicy, sitePolicy);
+        const script = resolveRequestPolicy("script", globalPolicy, sitePolicy);
+
+        assert.equal(page.retries, 5);
+        assert.equal(page.connectTimeoutMs, 2000);
+        assert.equal(script.retries, 3);
+        assert.equal(script.timeoutMs, 5000);
+});
+
+test("resolveLoginRequestPolicy only keeps retries for GET login requests", () => {
+        const loginPolicy = resolveRequestPolicy("login", { login: { retries: 3 } });
+
+        assert.equal(resolveLoginRequestPolicy(loginPolicy, "get").retries, 3);
+        assert.equal(resolveLoginRequestPolicy(loginPolicy, "POST").retries, 0);
+        assert.equal(resolveLoginRequestPolicy(loginPolicy, "POST").timeoutMs, loginPolicy.timeoutMs);
+        assert.equal(loginPolicy.retries, 3, "the session policy itself is left untouched");
+});
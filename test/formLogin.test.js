@@ -0,0 +1,87 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const main = require("../main.js");
+
+const { buildFormLoginSubmission, buildLoginInfo } = main.__testables;
+
+const loginPage = `
+<html><body>
+  <form id="search" action="/search" method="get"><input name="q"></form>
+  <form id="signin" class="auth narrow" action="/account/login?return=%2Flive" method="post">
+    <input type="hidden" name="__RequestVerificationToken" value="tok&amp;123">
+    <input type="hidden" name="authenticity_token" value='abc'>
+    <input type="email" name="Email">
+    <input type="password" name="Secret">
+    <input type="checkbox" name="remember" checked>
+    <input type="checkbox" name="newsletter">
+    <select name="region"><option value="eu">EU</option><option value="us" selected>US</option></select>
+    <button type="submit" name="go">Sign in</button>
+  </form>
+</body></html>`;
+
+function buildFormLoginInfo(credentialOverrides = {}) {
+        return buildLoginInfo({
+                urlObject: new URL("https://portal.example.com/live"),
+                options: {},
+                credential: {
+                        loginUrl: "/account/login",
+                        loginType: "form",
+                        username: "viewer@example.com",
+                        password: "p@ss word",
+                        ...credentialOverrides,
+                },
+        });
+}
+
+test("buildLoginInfo prepares form logins from credential username and password", () => {
+        const info = buildFormLoginInfo({ formSelector: "#signin", payload: { locale: "en" } });
+
+        assert.equal(info.type, "form");
+        assert.equal(info.url, "https://portal.example.com/account/login");
+        assert.deepEqual(info.payload, { username: "viewer@example.com", password: "p@ss word" });
+        assert.deepEqual(info.form, {
+                selector: "#signin",
+                usernameField: "",
+                passwordField: "",
+                extraFields: { locale: "en" },
+        });
+});
+
+test("buildFormLoginSubmission keeps hidden CSRF fields and merges credentials", () => {
+        const info = buildFormLoginInfo({ formSelector: "form.auth[method=post]", usernameField: "Email" });
+        const submission = buildFormLoginSubmission(loginPage, "https://portal.example.com/account/login", info);
+
+        assert.equal(submission.method, "POST");
+        assert.equal(submission.action, "https://portal.example.com/account/login?return=%2Flive");
+        assert.deepEqual(submission.csrfFields, ["__RequestVerificationToken", "authenticity_token"]);
+
+        const fields = Object.fromEntries(new URLSearchParams(submission.body));
+        assert.deepEqual(fields, {
+                __RequestVerificationToken: "tok&123",
+                authenticity_token: "abc",
+                Email: "viewer@example.com",
+                Secret: "p@ss word",
+                remember: "on",
+                region: "us",
+        });
+});
+
+test("buildFormLoginSubmission finds the password form without a selector", () => {
+        const submission = buildFormLoginSubmission(
+                loginPage,
+                "https://portal.example.com/account/login",
+                buildFormLoginInfo()
+        );
+
+        assert.equal(new URLSearchParams(submission.body).get("Email"), "viewer@example.com");
+        assert.throws(
+                () =>
+                        buildFormLoginSubmission(
+                                loginPage,
+                                "https://portal.example.com/account/login",
+                                buildFormLoginInfo({ formSelector: "#missing" })
+                        ),
+                /No login form matching '#missing'/
+        );
+});
@@ -0,0 +1,67 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const main = require("../main.js");
+
+const { applyHlsProbeResult, parseHlsMasterPlaylist } = main.__testables;
+
+const masterUrl = "https://cdn.example.com/live/arena-1/master.m3u8?token=abc";
+const master = [
+        "#EXTM3U",
+        "#EXT-X-VERSION:6",
+        '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aac",NAME="English",LANGUAGE="en",DEFAULT=YES,CHANNELS="2",URI="audio/en.m3u8"',
+        '#EXT-X-STREAM-INF:BANDWIDTH=800000,AVERAGE-BANDWIDTH=700000,RESOLUTION=640x360,CODECS="avc1.4d401e,mp4a.40.2",FRAME-RATE=25.000,AUDIO="aac"',
+        "360p/index.m3u8",
+        '#EXT-X-STREAM-INF:BANDWIDTH=6000000,RESOLUTION=1920x1080,CODECS="avc1.640028,mp4a.40.2",FRAME-RATE=50.000,AUDIO="aac"',
+        "https://edge.example.com/arena-1/1080p/index.m3u8",
+        '#EXT-X-STREAM-INF:BANDWIDTH=3000000,RESOLUTION=1280x720,CODECS="avc1.64001f,mp4a.40.2",AUDIO="aac"',
+        "720p/index.m3u8",
+].join("\n");
+
+test("parseHlsMasterPlaylist reads variant attributes and audio renditions", () => {
+        const probe = parseHlsMasterPlaylist(master, masterUrl);
+
+        assert.deepEqual(probe.variants[0], {
+                url: "https://cdn.example.com/live/arena-1/360p/index.m3u8",
+                bandwidth: 800000,
+                averageBandwidth: 700000,
+                width: 640,
+                height: 360,
+                quality: "SD",
+                codecs: ["avc1.4d401e", "mp4a.40.2"],
+                frameRate: 25,
+                audioGroup: "aac",
+        });
+        assert.deepEqual(
+                probe.variants.map((variant) => variant.quality),
+                ["SD", "FHD", "HD"]
+        );
+        assert.deepEqual(probe.audio, [{ groupId: "aac", name: "English", language: "en", channels: "2", default: true }]);
+        assert.equal(parseHlsMasterPlaylist("#EXTM3U\n#EXT-X-TARGETDURATION:6\n#EXTINF:6,\nsegment0.ts\n", masterUrl), null);
+});
+
+test("applyHlsProbeResult keeps the master, picks the best variant or splits every variant", () => {
+        const probe = parseHlsMasterPlaylist(master, masterUrl);
+        const link = { name: "Arena 1", url: masterUrl, tvgId: "arena-1" };
+
+        const [kept] = applyHlsProbeResult(link, probe, "master");
+        assert.equal(kept.url, masterUrl);
+        assert.equal(kept.quality, "FHD");
+        assert.equal(kept.hls.variants.length, 3);
+
+        const [best] = applyHlsProbeResult(link, probe, "best");
+        assert.equal(best.url, "https://edge.example.com/arena-1/1080p/index.m3u8");
+        assert.equal(best.hls.masterUrl, masterUrl);
+        assert.equal(best.hls.variant.height, 1080);
+        assert.equal(best.hls.variant.url, undefined);
+
+        const all = applyHlsProbeResult(link, probe, "all");
+        assert.deepEqual(
+                all.map(({ name, quality, tvgId }) => ({ name, quality, tvgId })),
+                [
+                        { name: "Arena 1 360p", quality: "SD", tvgId: "arena-1" },
+                        { name: "Arena 1 1080p", quality: "FHD", tvgId: "arena-1" },
+                        { name: "Arena 1 720p", quality: "HD", tvgId: "arena-1" },
+                ]
+        );
+});
@@ -0,0 +1,193 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+
+const { Indexer } = require("../main.js");
+
+const playlist = [
+        "#EXTM3U",
+        '#EXTINF:-1 group-title="News",News One',
+        "https://cdn.example.com/news/index.m3u8",
+        "#EXTINF:-1,Sports",
+        "https://cdn.example.com/sports/index.m3u8",
+        "",
+].join("\n");
+
+async function withServer(handler, run) {
+        const server = http.createServer(handler);
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+        const { port } = server.address();
+
+        try {
+                await run(`http://127.0.0.1:${port}`);
+        } finally {
+                await new Promise((resolve) => server.close(resolve));
+        }
+}
+
+function servePlaylist(request, response) {
+        response.writeHead(200, { "Content-Type": "audio/x-mpegurl" });
+        response.end(playlist);
+}
+
+test("Indexer resolves with channel objects and emits page and link events", async () => {
+        await withServer(servePlaylist, async (baseUrl) => {
+                const indexer = new Indexer({ scraper: { urls: [`${baseUrl}/list.m3u`] } });
+                const events = [];
+
+                indexer.on("page:fetched", (event) => events.push(["page:fetched", event.url, event.statusCode]));
+                indexer.on("links:extracted", (event) => events.push(["links:extracted", event.url, event.links.length]));
+
+                const result = await indexer.run();
+
+                assert.deepEqual(
+                        result.channels.map((channel) => [channel.name, channel.url, channel.group]),
+                        [
+                                ["News One", "https://cdn.example.com/news/index.m3u8", "News"],
+                                ["Sports", "https://cdn.example.com/sports/index.m3u8", undefined],
+                        ]
+                );
+                assert.equal(
+                        result.channels.some((channel) => "refreshSource" in channel),
+                        false,
+                        "internal bookkeeping stays out of the returned channels"
+                );
+                assert.deepEqual(result.stats, [{ url: `${baseUrl}/list.m3u`, count: 2 }]);
+                assert.deepEqual(events, [
+                        ["page:fetched", `${baseUrl}/list.m3u`, 200],
+                        ["links:extracted", `${baseUrl}/list.m3u`, 2],
+                ]);
+        });
+});
+
+test("Indexer emits error events for failing pages and keeps going", async () => {
+        await withServer(
+                (request, response) => {
+                        if (request.url === "/broken") {
+                                response.writeHead(500, { "Content-Type": "text/plain" });
+                                response.end("boom");
+                                return;
+                        }
+
+                        servePlaylist(request, response);
+                },
+                async (baseUrl) => {
+                        const indexer = new Indexer({
+                                scraper: { urls: [`${baseUrl}/broken`, `${baseUrl}/list.m3u`] },
+                        });
+                        const errors = [];
+                        indexer.on("error", (event) => errors.push(event.url));
+
+                        const result = await indexer.run();
+
+                        assert.equal(result.channels.length, 2);
+                        assert.deepEqual(errors, [`${baseUrl}/broken`]);
+                }
+        );
+});
+
+test("Indexer keeps Xtream panel passwords out of error logs and error events", async () => {
+        const closed = http.createServer();
+        await new Promise((resolve) => closed.listen(0, "127.0.0.1", resolve));
+        const { port } = closed.address();
+        await new Promise((resolve) => closed.close(resolve));
+
+        const indexer = new Indexer({
+                logging: { level: "debug" },
+                scraper: {
+                        urls: [{ url: `http://127.0.0.1:${port}`, type: "xtream", username: "alice", password: "s3cret" }],
+                        requestPolicy: { retries: 0 },
+                },
+        });
+        const messages = [];
+        const errors = [];
+        indexer.on("log", (event) => messages.push(event.message));
+        indexer.on("error", (event) => errors.push(event.url));
+
+        await indexer.run();
+
+        assert.ok(messages.some((message) => message.startsWith("Error fetching page (")));
+        assert.equal(errors.length, 1);
+        assert.ok(!errors[0].includes("s3cret"));
+        assert.deepEqual(messages.filter((message) => message.includes("s3cret")), []);
+});
+
+test("Indexer rejects when the configuration has no URLs", async () => {
+        await assert.rejects(new Indexer({}).run(), /at least one URL/);
+});
+
+test("Indexer stops with an AbortError once the signal is aborted", async () => {
+        await withServer(servePlaylist, async (baseUrl) => {
+                const controller = new AbortController();
+                const indexer = new Indexer({ scraper: { urls: [`${baseUrl}/list.m3u`] } });
+                indexer.on("page:fetched", () => controller.abort());
+
+                await assert.rejects(indexer.run({ signal: controller.signal }), { name: "AbortError" });
+
+                const aborted = new AbortController();
+                aborted.abort();
+                const idle = new Indexer({ scraper: { urls: [`${baseUrl}/list.m3u`] } });
+                await assert.rejects(idle.run({ signal: aborted.signal }), {
+                        name: "AbortError",
+                });
+        });
+});
+
+test("Indexer reports log lines as events at the configured level instead of writing to the console", async () => {
+        await withServer(servePlaylist, async (baseUrl) => {
+                const written = [];
+                const originals = { log: console.log, warn: console.warn, error: console.error, info: console.info };
+
+                for (const method of Object.keys(originals)) {
+                        console[method] = (...args) => written.push(args.join(" "));
+                }
+
+                try {
+                        const quiet = new Indexer({ logging: { level: "warn" }, scraper: { urls: [`${baseUrl}/list.m3u`] } });
+                        const quietLevels = [];
+                        quiet.on("log", (event) => quietLevels.push(event.level));
+                        await quiet.run();
+
+                        const received = [];
+                        const chatty = new Indexer(
+                                { scraper: { urls: [`${baseUrl}/list.m3u`] } },
+                                { logger: { info: (message) => received.push(message) } }
+                        );
+                        const messages = [];
+                        chatty.on("log", (event) => messages.push(event.message));
+                        await chatty.run();
+
+                        assert.ok(quietLevels.every((level) => level === "warn" || level === "error"));
+                        assert.ok(messages.includes("Total links exported for this URL: 2"));
+                        assert.ok(received.includes("Total links exported for this URL: 2"));
+                } finally {
+                        Object.assign(console, originals);
+                }
+
+                assert.deepEqual(written, []);
+        });
+});
+
+test("Indexer aborts while waiting to retry a failing request", async () => {
+        const controller = new AbortController();
+
+        await withServer(
+                (request, response) => {
+                        setTimeout(() => controller.abort(), 20);
+                        response.writeHead(503, { "Content-Type": "text/plain" });
+                        response.end("busy");
+                },
+                async (baseUrl) => {
+                        const startedAt = Date.now();
+                        const indexer = new Indexer({
+                                scraper: {
+                                        urls: [`${baseUrl}/list.m3u`],
+                                        requestPolicy: { retries: 3, retryBaseDelayMs: 20000, retryMaxDelayMs: 20000 },
+                                },
+                        });
+
+                        await assert.rejects(indexer.run({ signal: controller.signal }), { name: "AbortError" });
+                        assert.ok(Date.now() - startedAt < 5000, "the retry delay is cut short by the abort");
+                }
+        );
+});
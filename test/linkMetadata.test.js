@@ -0,0 +1,81 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const main = require("../main.js");
+
+const { extractLinksDataFromScript } = main;
+const { extractLinkMetadata, extractStreamLinksFromHtml } = main.__testables;
+
+test("extractLinkMetadata reads logo, group, EPG and locale keys", () => {
+        assert.deepEqual(
+                extractLinkMetadata({
+                        image: { url: "https://img.example.com/one.png" },
+                        genre: ["Sports", "Live"],
+                        epgId: 1042,
+                        tvg_name: "One HD",
+                        lang: "en",
+                        countryCode: "GB",
+                        description: "ignored",
+                }),
+                {
+                        logo: "https://img.example.com/one.png",
+                        group: "Sports",
+                        tvgId: "1042",
+                        tvgName: "One HD",
+                        language: "en",
+                        country: "GB",
+                }
+        );
+        assert.deepEqual(extractLinkMetadata([{ logo: "" }, { logo: "https://img.example.com/fallback.png" }]), {
+                logo: "https://img.example.com/fallback.png",
+        });
+});
+
+test("Nuxt channel extraction attaches metadata from the channel entry only", () => {
+        const script = `window.__NUXT__ = ${JSON.stringify({
+                data: {
+                        site: { logo: "https://portal.example.com/site-logo.png" },
+                        channels: [
+                                {
+                                        title: "Arena 1",
+                                        category: { name: "Sports" },
+                                        epgId: "arena1.example",
+                                        stream: { hls: "https://cdn.example.com/live/arena-1/master.m3u8" },
+                                },
+                                { title: "Arena 2", stream: { hls: "https://cdn.example.com/live/arena-2/master.m3u8" } },
+                        ],
+                        logo: "https://portal.example.com/page-logo.png",
+                },
+        })};`;
+
+        assert.deepEqual(extractLinksDataFromScript(script).links, [
+                {
+                        name: "Arena 1",
+                        url: "https://cdn.example.com/live/arena-1/master.m3u8",
+                        group: "Sports",
+                        tvgId: "arena1.example",
+                },
+                { name: "Arena 2", url: "https://cdn.example.com/live/arena-2/master.m3u8" },
+        ]);
+});
+
+test("extractStreamLinksFromHtml reads channel details from element attributes", () => {
+        const html = `
+                <video data-name="Arena 1" poster="https://img.example.com/arena-1.jpg" data-category="Sports">
+                        <source src="https://cdn.example.com/live/arena-1/master.m3u8?a=1&amp;b=2" type="application/x-mpegURL">
+                </video>
+                <div data-hls="https://cdn.example.com/live/arena-2/master.m3u8" data-epg-id="arena2.example" lang="es"></div>
+                <source src="https://cdn.example.com/live/arena-3/master.m3u8">
+        `;
+
+        assert.deepEqual(extractStreamLinksFromHtml(html), [
+                {
+                        url: "https://cdn.example.com/live/arena-1/master.m3u8?a=1&b=2",
+                        name: "Arena 1",
+                        logo: "https://img.example.com/arena-1.jpg",
+                        group: "Sports",
+                },
+                { url: "https://cdn.example.com/live/arena-2/master.m3u8", tvgId: "arena2.example", language: "es" },
+                { url: "https://cdn.example.com/live/arena-3/master.m3u8" },
+        ]);
+});
@@ -0,0 +1,81 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const main = require("../main.js");
+
+const { createCookieJar, evaluateLoginResponse, normalizeLoginRules } = main.__testables;
+
+test("normalizeLoginRules accepts one check per rule", () => {
+        const errors = [];
+        const rules = normalizeLoginRules(
+                [
+                        { status: [200, "302"] },
+                        { json: "success", equals: true },
+                        { cookie: "sid" },
+                        { bodyMatches: "welcome back" },
+                        { redirectTo: "/login?error" },
+                        { status: 200, cookie: "sid" },
+                        { bodyMatches: "(" },
+                ],
+                errors
+        );
+
+        assert.deepEqual(
+                rules.map((rule) => rule.description),
+                [
+                        "status 200/302",
+                        "json success equals true",
+                        "cookie sid is set",
+                        "body matches /welcome back/",
+                        "redirect to /login?error",
+                ]
+        );
+        assert.equal(errors.length, 2);
+});
+
+test("evaluateLoginResponse keeps the 2xx/3xx default when no rules are configured", () => {
+        assert.equal(evaluateLoginResponse({ statusCode: 302 }).success, true);
+        assert.deepEqual(evaluateLoginResponse({ statusCode: 401 }), {
+                success: false,
+                rule: null,
+                reason: "status 401",
+        });
+});
+
+test("evaluateLoginResponse reports the success rule that failed", () => {
+        const successRules = normalizeLoginRules([{ json: "success", equals: true }, { cookie: "sid" }]);
+        const cookieJar = createCookieJar();
+        const response = { statusCode: 200, body: JSON.stringify({ success: false }) };
+
+        const rejected = evaluateLoginResponse(response, { successRules }, { cookieJar, hostname: "portal.example.com" });
+        assert.equal(rejected.success, false);
+        assert.equal(rejected.reason, "success rule failed: json success equals true");
+
+        cookieJar.loadFromSetCookie("sid=1; Path=/", "https://portal.example.com/login");
+        const accepted = evaluateLoginResponse(
+                { statusCode: 200, body: JSON.stringify({ success: true }) },
+                { successRules },
+                { cookieJar, hostname: "portal.example.com" }
+        );
+        assert.equal(accepted.success, true);
+});
+
+test("evaluateLoginResponse rejects forbidden redirect targets and failure bodies", () => {
+        const failureRules = normalizeLoginRules([{ redirectTo: "/login?error=1" }, { bodyMatches: "invalid password" }]);
+
+        const redirected = evaluateLoginResponse(
+                {
+                        statusCode: 200,
+                        body: "<html></html>",
+                        url: "https://portal.example.com/login?error=1",
+                        redirects: [
+                                { url: "https://portal.example.com/session", statusCode: 302, location: "/login?error=1" },
+                        ],
+                },
+                { failureRules }
+        );
+        assert.equal(redirected.reason, "failure rule matched: redirect to /login?error=1");
+
+        const invalid = evaluateLoginResponse({ statusCode: 200, body: "Invalid password" }, { failureRules });
+        assert.equal(invalid.reason, "failure rule matched: body matches /invalid password/");
+});
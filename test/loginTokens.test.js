@@ -0,0 +1,150 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+
+const main = require("../main.js");
+
+const { Indexer } = main;
+const { applyTokensToRequest, extractLoginTokens, normalizeTokenRules, stripTokensFromUrl } = main.__testables;
+
+function buildJwt(claims) {
+        const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+        return `${encode({ alg: "none" })}.${encode(claims)}.signature`;
+}
+
+test("normalizeTokenRules validates sources, targets and names", () => {
+        const errors = [];
+        const rules = normalizeTokenRules(
+                [
+                        { path: "data.access_token", name: "Authorization", template: "Bearer {token}" },
+                        { header: "X-Session", as: "query", name: "session" },
+                        { from: "body", as: "header", name: "X-Missing-Path" },
+                        { from: "cookie", path: "a", name: "b" },
+                ],
+                errors,
+                "tokens"
+        );
+
+        assert.equal(rules.length, 2);
+        assert.equal(rules[0].from, "body");
+        assert.equal(rules[0].as, "header");
+        assert.equal(rules[1].from, "header");
+        assert.equal(errors.length, 2);
+});
+
+test("extractLoginTokens reads JSON paths, headers and expiry hints", () => {
+        const now = Date.UTC(2026, 0, 1);
+        const rules = normalizeTokenRules([
+                {
+                        path: "$.data.tokens[0].value",
+                        name: "Authorization",
+                        template: "Bearer {token}",
+                        expiresInPath: "data.expires_in",
+                },
+                { from: "header", header: "x-session-id", as: "cookie", name: "sid" },
+                { path: "jwt", as: "query", name: "token" },
+                { path: "missing.value", name: "X-Nope" },
+        ]);
+        const jwt = buildJwt({ exp: now / 1000 + 600 });
+        const response = {
+                headers: { "X-Session-Id": "s-1" },
+                body: JSON.stringify({ data: { tokens: [{ value: "abc" }], expires_in: 3600 }, jwt }),
+        };
+
+        const result = extractLoginTokens(rules, response, now);
+
+        assert.deepEqual(result.missing, ["body path missing.value"]);
+        assert.deepEqual(
+                result.tokens.map(({ as, name, value }) => ({ as, name, value })),
+                [
+                        { as: "header", name: "Authorization", value: "Bearer abc" },
+                        { as: "cookie", name: "sid", value: "s-1" },
+                        { as: "query", name: "token", value: jwt },
+                ]
+        );
+        assert.equal(result.tokens[0].expiresAt, now + 3600 * 1000);
+        assert.equal(result.expiresAt, now + 600 * 1000, "earliest expiry wins, including JWT exp claims");
+});
+
+test("applyTokensToRequest sets headers and query parameters without mutating inputs", () => {
+        const headers = { Accept: "text/html", authorization: "old" };
+        const result = applyTokensToRequest(
+                [
+                        { as: "header", name: "Authorization", value: "Bearer abc" },
+                        { as: "query", name: "token", value: "t 1" },
+                ],
+                "https://portal.example.com/live?page=2",
+                headers
+        );
+
+        assert.equal(result.url, "https://portal.example.com/live?page=2&token=t+1");
+        assert.equal(result.headers.authorization, "Bearer abc");
+        assert.equal(headers.authorization, "old");
+});
+
+test("stripTokensFromUrl removes only the query tokens that were injected", () => {
+        const tokens = [
+                { as: "header", name: "Authorization", value: "Bearer abc" },
+                { as: "query", name: "token", value: "t 1" },
+        ];
+        const { url } = applyTokensToRequest(tokens, "https://portal.example.com/live?page=2", {});
+
+        assert.equal(stripTokensFromUrl(tokens, url), "https://portal.example.com/live?page=2");
+        assert.equal(
+                stripTokensFromUrl(tokens, "https://portal.example.com/live?token=other"),
+                "https://portal.example.com/live?token=other",
+                "a token parameter with a different value belongs to the page"
+        );
+        assert.equal(
+                stripTokensFromUrl(tokens, applyTokensToRequest(tokens, "https://portal.example.com/live", {}).url),
+                "https://portal.example.com/live"
+        );
+});
+
+test("Indexer masks injected query and header tokens in verbose request logs", async () => {
+        const seen = [];
+        const server = http.createServer((request, response) => {
+                if (request.url === "/api/login") {
+                        response.writeHead(200, { "Content-Type": "application/json" });
+                        response.end('{"token":"q-secret","key":"h-secret"}');
+                        return;
+                }
+
+                seen.push({ url: request.url, key: request.headers["x-api-key"] });
+                response.writeHead(200, { "Content-Type": "audio/x-mpegurl" });
+                response.end("#EXTM3U\n#EXTINF:-1,News\nhttps://cdn.example.com/news/index.m3u8\n");
+        });
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+        const baseUrl = `http://127.0.0.1:${server.address().port}`;
+        const messages = [];
+
+        try {
+                const indexer = new Indexer({
+                        logging: { level: "debug" },
+                        scraper: {
+                                urls: [`${baseUrl}/list.m3u`],
+                                credentials: [
+                                        {
+                                                site: "127.0.0.1",
+                                                loginUrl: "/api/login",
+                                                username: "demo",
+                                                password: "demo",
+                                                tokens: [
+                                                        { path: "token", as: "query", name: "token" },
+                                                        { path: "key", name: "X-Api-Key" },
+                                                ],
+                                        },
+                                ],
+                        },
+                });
+                indexer.on("log", (event) => messages.push(event.message));
+                await indexer.run();
+        } finally {
+                await new Promise((resolve) => server.close(resolve));
+        }
+
+        assert.deepEqual(seen, [{ url: "/list.m3u?token=q-secret", key: "h-secret" }]);
+        assert.ok(messages.some((message) => message.startsWith(`Preparing request for ${baseUrl}/list.m3u?token=***`)));
+        assert.ok(messages.some((message) => message.startsWith("Request headers for") && message.includes('"***"')));
+        assert.deepEqual(messages.filter((message) => /q-secret|h-secret/.test(message)), []);
+});
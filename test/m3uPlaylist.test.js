@@ -0,0 +1,94 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const main = require("../main.js");
+
+const { buildM3uPlaylist, convertM3uEntryToLink, looksLikeM3uPlaylist, parseM3uPlaylist } = main.__testables;
+
+const playlist = [
+        "\uFEFF#EXTM3U x-tvg-url=\"https://epg.example.com/guide.xml\"",
+        '#EXTINF:-1 tvg-id="news.uk" tvg-name="News UK" tvg-logo="https://img.example.com/news.png" group-title="News" catchup="append",News UK HD',
+        "#EXTVLCOPT:http-user-agent=Mozilla/5.0",
+        "#EXTVLCOPT:http-referrer=https://portal.example.com/",
+        "live/news/index.m3u8",
+        "",
+        "#EXTINF:0,Sports, Extra",
+        "#EXTGRP:Sports",
+        "#KODIPROP:inputstream.adaptive.manifest_type=mpd",
+        "https://cdn.example.com/sports/manifest.mpd",
+        "#EXTINF:-1,Ace",
+        "acestream://0123456789abcdef0123456789abcdef01234567",
+].join("\r\n");
+
+test("looksLikeM3uPlaylist distinguishes channel lists from HLS playlists", () => {
+        assert.equal(looksLikeM3uPlaylist(playlist), true);
+        assert.equal(
+                looksLikeM3uPlaylist("#EXTM3U\n#EXT-X-TARGETDURATION:6\n#EXTINF:6.0,\nsegment0.ts\n"),
+                false
+        );
+        assert.equal(looksLikeM3uPlaylist("<html></html>"), false);
+});
+
+test("parseM3uPlaylist keeps attributes, groups and player options", () => {
+        const entries = parseM3uPlaylist(playlist, { baseUrl: "https://lists.example.com/iptv/all.m3u" });
+
+        assert.equal(entries.length, 3);
+        assert.deepEqual(entries[0], {
+                duration: -1,
+                attributes: {
+                        "tvg-id": "news.uk",
+                        "tvg-name": "News UK",
+                        "tvg-logo": "https://img.example.com/news.png",
+                        "group-title": "News",
+                        catchup: "append",
+                },
+                title: "News UK HD",
+                group: "News",
+                vlcOptions: ["http-user-agent=Mozilla/5.0", "http-referrer=https://portal.example.com/"],
+                kodiProps: [],
+                url: "https://lists.example.com/iptv/live/news/index.m3u8",
+        });
+        assert.equal(entries[1].title, "Sports, Extra");
+        assert.equal(entries[1].group, "Sports");
+        assert.deepEqual(entries[1].kodiProps, ["inputstream.adaptive.manifest_type=mpd"]);
+        assert.equal(entries[2].url, "acestream://0123456789abcdef0123456789abcdef01234567");
+});
+
+test("convertM3uEntryToLink only sets metadata that is present", () => {
+        const [news, sports, ace] = parseM3uPlaylist(playlist, { baseUrl: "https://lists.example.com/" }).map(
+                convertM3uEntryToLink
+        );
+
+        assert.deepEqual(news, {
+                name: "News UK HD",
+                url: "https://lists.example.com/live/news/index.m3u8",
+                tvgId: "news.uk",
+                tvgName: "News UK",
+                logo: "https://img.example.com/news.png",
+                group: "News",
+                attributes: { catchup: "append" },
+                vlcOptions: ["http-user-agent=Mozilla/5.0", "http-referrer=https://portal.example.com/"],
+        });
+        assert.deepEqual(Object.keys(sports), ["name", "url", "group", "kodiProps"]);
+        assert.deepEqual(ace, { name: "Ace", url: "acestream://0123456789abcdef0123456789abcdef01234567" });
+});
+
+test("buildM3uPlaylist writes imported metadata back out", () => {
+        const links = parseM3uPlaylist(playlist, { baseUrl: "https://lists.example.com/" }).map(convertM3uEntryToLink);
+        const output = buildM3uPlaylist(links);
+
+        assert.equal(
+                output,
+                "#EXTM3U\n" +
+                        '#EXTINF:-1 tvg-id="news.uk" tvg-name="News UK" tvg-logo="https://img.example.com/news.png" group-title="News" catchup="append",News UK HD\n' +
+                        "#EXTVLCOPT:http-user-agent=Mozilla/5.0\n" +
+                        "#EXTVLCOPT:http-referrer=https://portal.example.com/\n" +
+                        "https://lists.example.com/live/news/index.m3u8\n" +
+                        '#EXTINF:-1 group-title="Sports",Sports, Extra\n' +
+                        "#KODIPROP:inputstream.adaptive.manifest_type=mpd\n" +
+                        "https://cdn.example.com/sports/manifest.mpd\n" +
+                        "#EXTINF:-1,Ace\n" +
+                        "acestream://0123456789abcdef0123456789abcdef01234567\n"
+        );
+        assert.deepEqual(parseM3uPlaylist(output).map(convertM3uEntryToLink), links);
+});
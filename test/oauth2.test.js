@@ -0,0 +1,176 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+
+const main = require("../main.js");
+
+const { Indexer } = main;
+const { buildLoginInfo, buildOAuthTokenRequest, isTokenHost } = main.__testables;
+
+const urlObject = new URL("https://feeds.partner.example/live");
+
+test("buildLoginInfo builds an OAuth2 client_credentials login from the credential", () => {
+        const info = buildLoginInfo({
+                urlObject,
+                options: { loginUrl: "https://ignored.example/login" },
+                credential: {
+                        auth: "oauth2",
+                        tokenUrl: "/oauth/token",
+                        clientId: "indexer",
+                        clientSecret: "s3cret",
+                        scopes: ["channels.read", "epg.read"],
+                },
+        });
+
+        assert.equal(info.type, "oauth2");
+        assert.equal(info.url, "https://feeds.partner.example/oauth/token");
+        assert.deepEqual(info.oauth, {
+                grantType: "client_credentials",
+                clientId: "indexer",
+                clientSecret: "s3cret",
+                refreshToken: "",
+                scopes: ["channels.read", "epg.read"],
+                clientAuth: "basic",
+        });
+});
+
+test("buildLoginInfo rejects OAuth2 credentials without a client id", () => {
+        const info = buildLoginInfo({
+                urlObject: new URL("https://missing-client.example/"),
+                options: {},
+                credential: { auth: "oauth2", tokenUrl: "https://auth.example/token" },
+        });
+
+        assert.equal(info, null);
+});
+
+test("buildOAuthTokenRequest authenticates the client with HTTP basic by default", () => {
+        const request = buildOAuthTokenRequest({
+                grantType: "client_credentials",
+                clientId: "indexer app",
+                clientSecret: "p:ss",
+                refreshToken: "",
+                scopes: ["channels.read", "epg.read"],
+                clientAuth: "basic",
+        });
+
+        assert.equal(request.grantType, "client_credentials");
+        assert.equal(request.headers["Content-Type"], "application/x-www-form-urlencoded");
+        assert.equal(
+                Buffer.from(request.headers.Authorization.slice("Basic ".length), "base64").toString(),
+                "indexer+app:p%3Ass"
+        );
+        assert.deepEqual(Object.fromEntries(new URLSearchParams(request.body)), {
+                grant_type: "client_credentials",
+                scope: "channels.read epg.read",
+        });
+});
+
+test("buildOAuthTokenRequest sends client credentials in the body and prefers a rotated refresh token", () => {
+        const oauth = {
+                grantType: "client_credentials",
+                clientId: "indexer",
+                clientSecret: "s3cret",
+                refreshToken: "",
+                scopes: [],
+                clientAuth: "body",
+        };
+        const request = buildOAuthTokenRequest(oauth, { refreshToken: "rotated-token" });
+
+        assert.equal(request.headers.Authorization, undefined);
+        assert.deepEqual(Object.fromEntries(new URLSearchParams(request.body)), {
+                grant_type: "refresh_token",
+                refresh_token: "rotated-token",
+                client_id: "indexer",
+                client_secret: "s3cret",
+        });
+});
+
+test("Indexer keeps OAuth2 tokens off other hosts and falls back to client credentials when a refresh fails", async () => {
+        const grants = [];
+        const scriptAuthorization = [];
+        const pageAuthorization = [];
+        const server = http.createServer((request, response) => {
+                let body = "";
+                request.on("data", (chunk) => {
+                        body += chunk;
+                });
+                request.on("end", () => {
+                        if (request.url === "/oauth/token") {
+                                const grantType = new URLSearchParams(body).get("grant_type");
+                                grants.push(grantType);
+
+                                if (grantType === "refresh_token") {
+                                        response.writeHead(400, { "Content-Type": "application/json" });
+                                        response.end('{"error":"invalid_grant"}');
+                                        return;
+                                }
+
+                                response.writeHead(200, { "Content-Type": "application/json" });
+                                response.end(
+                                        JSON.stringify({
+                                                access_token: `cc-${grants.length}`,
+                                                expires_in: grants.length === 1 ? 1 : 3600,
+                                                refresh_token: "r1",
+                                        })
+                                );
+                                return;
+                        }
+
+                        if (request.url === "/app.js") {
+                                scriptAuthorization.push(request.headers.authorization || null);
+                                response.writeHead(200, { "Content-Type": "application/javascript" });
+                                response.end('var stream = "https://cdn.example.com/script/index.m3u8";');
+                                return;
+                        }
+
+                        pageAuthorization.push(request.headers.authorization || null);
+                        // Outlive the refresh window of the first token so the second page has to renew it.
+                        setTimeout(() => {
+                                response.writeHead(200, { "Content-Type": "text/html" });
+                                response.end(
+                                        `<script src="http://localhost:${server.address().port}/app.js"></script>` +
+                                                `<a href="https://cdn.example.com${request.url}/index.m3u8">live</a>`
+                                );
+                        }, 200);
+                });
+        });
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+        const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+        try {
+                await new Indexer({
+                        scraper: {
+                                urls: [`${baseUrl}/one`, `${baseUrl}/two`],
+                                concurrency: 1,
+                                credentials: [
+                                        {
+                                                site: "127.0.0.1",
+                                                auth: "oauth2",
+                                                tokenUrl: "/oauth/token",
+                                                clientId: "indexer",
+                                                clientSecret: "s3cret",
+                                                refreshBeforeMs: 900,
+                                        },
+                                ],
+                        },
+                }).run();
+
+                assert.deepEqual(grants, ["client_credentials", "refresh_token", "client_credentials"]);
+                assert.deepEqual(pageAuthorization, ["Bearer cc-1", "Bearer cc-3"]);
+                assert.deepEqual(scriptAuthorization, [null, null]);
+        } finally {
+                await new Promise((resolve) => server.close(resolve));
+        }
+});
+
+test("isTokenHost accepts the session host, its subdomains and configured token hosts only", () => {
+        const allowed = ["feeds.partner.example", "api.partner-cdn.example"];
+
+        assert.equal(isTokenHost("https://feeds.partner.example/live", allowed), true);
+        assert.equal(isTokenHost("https://eu.feeds.partner.example/live", allowed), true);
+        assert.equal(isTokenHost("https://api.partner-cdn.example/channels", allowed), true);
+        assert.equal(isTokenHost("https://cdn.analytics.example/app.js", allowed), false);
+        assert.equal(isTokenHost("https://evilfeeds.partner.example/", allowed), false);
+        assert.equal(isTokenHost("not a url", allowed), false);
+});
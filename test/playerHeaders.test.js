@@ -0,0 +1,63 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const main = require("../main.js");
+
+const { attachPlaybackHeaders, buildM3uPlaylist, parsePlayerHeaderDialects } = main.__testables;
+
+const link = {
+        name: "Arena 1",
+        url: "https://cdn.example.com/live/arena-1/index.m3u8?sig=abc",
+        sourcePage: "https://portal.example.com/watch/arena-1",
+};
+
+test("parsePlayerHeaderDialects expands all and reports unknown dialects", () => {
+        assert.deepEqual(parsePlayerHeaderDialects("all"), { dialects: ["vlc", "kodi"], unknown: [], dropped: [] });
+        assert.deepEqual(parsePlayerHeaderDialects("Pipe, kodi, mpv"), {
+                dialects: ["kodi", "pipe"],
+                unknown: ["mpv"],
+                dropped: [],
+        });
+        assert.deepEqual(parsePlayerHeaderDialects(""), { dialects: [], unknown: [], dropped: [] });
+});
+
+test("parsePlayerHeaderDialects never combines the pipe dialect with vlc", () => {
+        assert.deepEqual(parsePlayerHeaderDialects("vlc,pipe"), { dialects: ["vlc"], unknown: [], dropped: ["pipe"] });
+});
+
+test("attachPlaybackHeaders records the source page, user agent and cookies", () => {
+        assert.deepEqual(attachPlaybackHeaders(link, { userAgent: "Indexer/1.0", cookieHeader: "sid=1; cf=2" }).headers, {
+                Referer: "https://portal.example.com/watch/arena-1",
+                "User-Agent": "Indexer/1.0",
+                Cookie: "sid=1; cf=2",
+        });
+        assert.deepEqual(
+                attachPlaybackHeaders(
+                        { ...link, vlcOptions: ["http-referrer=https://player.example.com/"] },
+                        { userAgent: "Indexer/1.0" }
+                ).headers,
+                { Referer: "https://player.example.com/", "User-Agent": "Indexer/1.0" }
+        );
+
+        const ace = { name: "Ace", url: "acestream://0123456789abcdef0123456789abcdef01234567", sourcePage: link.sourcePage };
+        assert.equal(attachPlaybackHeaders(ace, { userAgent: "Indexer/1.0" }), ace);
+});
+
+test("buildM3uPlaylist writes playback headers in the selected player dialects", () => {
+        const withHeaders = attachPlaybackHeaders(link, { userAgent: "Indexer/1.0 (X11)", cookieHeader: "sid=1" });
+        const query = "Referer=https%3A%2F%2Fportal.example.com%2Fwatch%2Farena-1&User-Agent=Indexer%2F1.0%20(X11)&Cookie=sid%3D1";
+
+        assert.equal(
+                buildM3uPlaylist([withHeaders], { playerHeaders: ["vlc", "kodi", "pipe"] }),
+                "#EXTM3U\n" +
+                        "#EXTINF:-1,Arena 1\n" +
+                        `#KODIPROP:inputstream.adaptive.stream_headers=${query}\n` +
+                        "#EXTVLCOPT:http-referrer=https://portal.example.com/watch/arena-1\n" +
+                        "#EXTVLCOPT:http-user-agent=Indexer/1.0 (X11)\n" +
+                        `https://cdn.example.com/live/arena-1/index.m3u8?sig=abc|${query}\n`
+        );
+        assert.equal(
+                buildM3uPlaylist([withHeaders]),
+                "#EXTM3U\n#EXTINF:-1,Arena 1\nhttps://cdn.example.com/live/arena-1/index.m3u8?sig=abc\n"
+        );
+});
@@ -0,0 +1,119 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const main = require("../main.js");
+
+const { createCookieJar, createSessionStore, looksLikeUnauthenticatedResponse } = main.__testables;
+
+function withTempDirectory(t) {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), "iptv-sessions-"));
+        t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+        return path.join(directory, ".sessions");
+}
+
+test("createSessionStore round-trips cookies exported from the jar", (t) => {
+        const directory = withTempDirectory(t);
+        const jar = createCookieJar();
+        jar.loadFromSetCookie("sid=abc; Path=/; HttpOnly", "https://portal.example.com/login");
+        jar.loadFromSetCookie("other=1", "https://elsewhere.example.org/");
+
+        const store = createSessionStore(directory);
+        const loggedInAt = Date.now();
+        const filePath = store.save("portal.example.com", {
+                loginUrl: "https://portal.example.com/login",
+                loggedInAt,
+                cookies: jar.exportCookies({ hostname: "portal.example.com" }),
+        });
+
+        assert.equal(path.basename(filePath), "portal.example.com.json");
+
+        const stored = store.load("portal.example.com");
+        assert.equal(stored.loggedInAt, loggedInAt);
+        assert.deepEqual(
+                stored.cookies.map((cookie) => cookie.name),
+                ["sid"]
+        );
+
+        const restoredJar = createCookieJar();
+        for (const cookie of stored.cookies) {
+                restoredJar.set(cookie.name, cookie.value, cookie);
+        }
+
+        assert.equal(restoredJar.getCookieHeader("https://portal.example.com/channels"), "sid=abc");
+        assert.equal(restoredJar.getCookieHeader("https://api.portal.example.com/"), "");
+});
+
+test("createSessionStore writes files that only the owner can read", { skip: process.platform === "win32" }, (t) => {
+        const directory = withTempDirectory(t);
+        const store = createSessionStore(directory);
+        const filePath = store.save("portal.example.com", {
+                loggedInAt: Date.now(),
+                cookies: [{ name: "sid", value: "abc", domain: "portal.example.com", path: "/", hostOnly: true }],
+        });
+
+        assert.equal(fs.statSync(directory).mode & 0o777, 0o700);
+        assert.equal(fs.statSync(filePath).mode & 0o777, 0o600);
+});
+
+test("createSessionStore ignores sessions that are too old or fully expired", (t) => {
+        const directory = withTempDirectory(t);
+        let currentTime = 1_000_000;
+        const store = createSessionStore(directory, { maxAgeMs: 60_000, now: () => currentTime });
+
+        store.save("portal.example.com", {
+                loggedInAt: currentTime,
+                cookies: [{ name: "sid", value: "abc", domain: "portal.example.com", path: "/", expires: currentTime + 10_000 }],
+        });
+
+        assert.ok(store.load("portal.example.com"));
+
+        currentTime += 20_000;
+        assert.equal(store.load("portal.example.com"), null, "cookies expired");
+
+        store.save("portal.example.com", {
+                loggedInAt: currentTime - 120_000,
+                cookies: [{ name: "sid", value: "abc", domain: "portal.example.com", path: "/" }],
+        });
+        assert.equal(store.load("portal.example.com"), null, "session older than maxAgeMs");
+
+        store.remove("portal.example.com");
+        assert.equal(fs.existsSync(path.join(directory, "portal.example.com.json")), false);
+});
+
+test("looksLikeUnauthenticatedResponse detects auth errors and login redirects", () => {
+        const loginInfo = { url: "https://portal.example.com/account/enter" };
+
+        assert.equal(looksLikeUnauthenticatedResponse({ statusCode: 401 }, loginInfo), true);
+        assert.equal(
+                looksLikeUnauthenticatedResponse(
+                        {
+                                statusCode: 200,
+                                url: "https://portal.example.com/account/enter?next=/live",
+                                redirects: [{ statusCode: 302 }],
+                        },
+                        loginInfo
+                ),
+                true
+        );
+        assert.equal(
+                looksLikeUnauthenticatedResponse(
+                        { statusCode: 200, url: "https://portal.example.com/login", redirects: [{ statusCode: 302 }] },
+                        null
+                ),
+                true
+        );
+        assert.equal(
+                looksLikeUnauthenticatedResponse(
+                        { statusCode: 200, url: "https://portal.example.com/live", redirects: [{ statusCode: 301 }] },
+                        loginInfo
+                ),
+                false
+        );
+        assert.equal(
+                looksLikeUnauthenticatedResponse({ statusCode: 200, url: "https://portal.example.com/login", redirects: [] }, loginInfo),
+                false
+        );
+});
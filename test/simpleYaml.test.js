@@ -0,0 +1,48 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+
+const main = require("../main.js");
+
+const { parseSimpleYaml } = main.__testables;
+
+test("parseSimpleYaml keeps nested keys on the list entry they follow", () => {
+        const parsed = parseSimpleYaml(
+                [
+                        "scraper:",
+                        "  sites:",
+                        "    - site: iptv-demo.example.net",
+                        "      requestPolicy:",
+                        "        timeoutMs: 180000",
+                        "        page:",
+                        "          retries: 4",
+                        "      strictLogin: true",
+                        "    - site: other.example.org",
+                        "  maxRedirects: 5",
+                ].join("\n")
+        );
+
+        assert.deepEqual(parsed, {
+                scraper: {
+                        sites: [
+                                {
+                                        site: "iptv-demo.example.net",
+                                        requestPolicy: { timeoutMs: 180000, page: { retries: 4 } },
+                                        strictLogin: true,
+                                },
+                                { site: "other.example.org" },
+                        ],
+                        maxRedirects: 5,
+                },
+        });
+});
+
+test("parseSimpleYaml reads the per-site request policy in the sample config", () => {
+        const parsed = parseSimpleYaml(fs.readFileSync(path.join(__dirname, "..", "config.yaml"), "utf8"));
+
+        assert.deepEqual(parsed.scraper.sites, [
+                { site: "iptv-demo.example.net", requestPolicy: { timeoutMs: 180000, page: { retries: 4 } } },
+        ]);
+        assert.equal(parsed.scraper.credentials[0].site, "securestreaming.example.com");
+});
@@ -0,0 +1,148 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const http = require("node:http");
+const os = require("node:os");
+const path = require("node:path");
+
+const main = require("../main.js");
+
+const { Indexer } = main;
+const { findSiteAdapter, loadSiteAdapters, normalizeSiteAdapter, resolvePluginsDirectory } = main.__testables;
+
+function withPluginTree(files, run) {
+        const root = fs.mkdtempSync(path.join(os.tmpdir(), "site-adapters-"));
+
+        try {
+                for (const [relativePath, content] of Object.entries(files)) {
+                        const filePath = path.join(root, relativePath);
+                        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+                        fs.writeFileSync(filePath, content, "utf8");
+                }
+
+                return run(root);
+        } finally {
+                fs.rmSync(root, { recursive: true, force: true });
+        }
+}
+
+test("normalizeSiteAdapter validates the name, matchers and hooks", () => {
+        const adapter = normalizeSiteAdapter(
+                { name: "tennis", hosts: ["*.TennisChannel.example.com"], nameLink: () => "Court 1" },
+                "plugins/tennis.js"
+        );
+
+        assert.deepEqual(adapter.hosts, ["tennischannel.example.com"]);
+        assert.equal(typeof adapter.nameLink, "function");
+        assert.throws(() => normalizeSiteAdapter({ hosts: ["a.example"] }, "x"), /must be an object with a name/);
+        assert.throws(() => normalizeSiteAdapter({ name: "any" }, "x"), /must declare hosts or a urlPattern/);
+        assert.throws(
+                () => normalizeSiteAdapter({ name: "bad", hosts: ["a.example"], extractLinks: "nope" }, "x"),
+                /extractLinks hook that is not a function/
+        );
+});
+
+test("findSiteAdapter matches host suffixes and URL patterns before falling back to the default", () => {
+        const adapters = [
+                normalizeSiteAdapter({ name: "tennis", hosts: ["tennischannel.example.com"] }, "a"),
+                normalizeSiteAdapter({ name: "events", urlPattern: "^https://portal\\.example\\.org/events/" }, "b"),
+        ];
+
+        assert.equal(findSiteAdapter(adapters, new URL("https://plus-live.tennischannel.example.com/live")).name, "tennis");
+        assert.equal(findSiteAdapter(adapters, new URL("https://portal.example.org/events/42")).name, "events");
+        assert.equal(findSiteAdapter(adapters, new URL("https://portal.example.org/home")).name, "default");
+        assert.equal(findSiteAdapter(adapters, new URL("https://nottennischannel.example.com/")).name, "default");
+});
+
+test("loadSiteAdapters reads a plugins directory and npm modules and reports broken plugins", () => {
+        withPluginTree(
+                {
+                        "plugins/a-tennis.js":
+                                'module.exports = { name: "tennis", hosts: ["tennischannel.example.com"], extractLinks: () => [] };',
+                        "plugins/b-pair.js":
+                                'module.exports = [{ name: "one", hosts: ["one.example"] }, { name: "two", hosts: ["two.example"] }];',
+                        "plugins/c-broken.js": 'throw new Error("boom");',
+                        "plugins/notes.txt": "ignored",
+                        "node_modules/iptv-adapter-demo/index.js":
+                                'module.exports = { default: { name: "demo", urlPattern: "demo" } };',
+                },
+                (root) => {
+                        const { adapters, errors } = loadSiteAdapters({
+                                directory: path.join(root, "plugins"),
+                                modules: ["iptv-adapter-demo", "iptv-adapter-missing"],
+                                baseDirectory: root,
+                        });
+
+                        assert.deepEqual(
+                                adapters.map((adapter) => adapter.name),
+                                ["tennis", "one", "two", "demo"]
+                        );
+                        assert.equal(errors.length, 2);
+                        assert.match(errors[0], /c-broken\.js: boom$/);
+                        assert.match(errors[1], /^iptv-adapter-missing: Cannot find module/);
+                }
+        );
+});
+
+test("resolvePluginsDirectory only uses plugins/ next to a loaded config file", () => {
+        withPluginTree({ "config.yaml": "scraper: {}\n", "plugins/a.js": "module.exports = [];" }, (root) => {
+                const configPath = path.join(root, "config.yaml");
+
+                assert.equal(resolvePluginsDirectory({ loadedConfigPath: configPath }), path.join(root, "plugins"));
+                assert.equal(
+                        resolvePluginsDirectory({ pluginsDirectory: "/opt/adapters", loadedConfigPath: configPath }),
+                        "/opt/adapters"
+                );
+                assert.equal(resolvePluginsDirectory({ loadedConfigPath: null }), "", "no config file means no plugins");
+                assert.equal(resolvePluginsDirectory({ loadedConfigPath: path.join(root, "plugins", "x.yaml") }), "");
+        });
+});
+
+test("Indexer lets adapters extend the built-in extraction and naming", async () => {
+        const server = http.createServer((request, response) => {
+                response.writeHead(200, { "Content-Type": "audio/x-mpegurl" });
+                response.end(
+                        [
+                                "#EXTM3U",
+                                "#EXTINF:-1,News",
+                                "https://cdn.example.com/news/index.m3u8",
+                                "https://cdn.example.com/sport/index.m3u8",
+                                "",
+                        ].join("\n")
+                );
+        });
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+        const adapter = [
+                "module.exports = {",
+                '        name: "extend",',
+                '        hosts: ["127.0.0.1"],',
+                "        async extractLinks(context) {",
+                "                const links = await context.defaultExtractLinks();",
+                '                return [...links, { url: "https://cdn.example.com/extra/index.m3u8" }];',
+                "        },",
+                "        nameLink(context) {",
+                '                return `${context.defaultNameLink(context.link)} (extended)`;',
+                "        },",
+                "};",
+        ].join("\n");
+
+        const root = fs.mkdtempSync(path.join(os.tmpdir(), "site-adapters-"));
+        fs.writeFileSync(path.join(root, "extend.js"), adapter, "utf8");
+
+        try {
+                const result = await new Indexer({
+                        scraper: {
+                                urls: [`http://127.0.0.1:${server.address().port}/list.m3u`],
+                                adapters: { directory: root },
+                        },
+                }).run();
+
+                assert.deepEqual(
+                        result.channels.map((channel) => channel.name),
+                        ["News (extended)", "Index (extended)", "Index (extended)"]
+                );
+        } finally {
+                fs.rmSync(root, { recursive: true, force: true });
+                await new Promise((resolve) => server.close(resolve));
+        }
+});
@@ -0,0 +1,180 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+
+const main = require("../main.js");
+
+const { Indexer } = main;
+const { buildM3uPlaylist, buildStreamHealthReport, classifyStreamResponse, findNextHlsCheckTarget } = main.__testables;
+
+test("classifyStreamResponse separates dead, geo-blocked, auth-required and expired streams", () => {
+        const classify = (statusCode, body = "", headers = {}) => classifyStreamResponse({ statusCode, body, headers }).status;
+
+        assert.equal(classify(200), "alive");
+        assert.equal(classify(206), "alive");
+        assert.equal(classify(404), "dead");
+        assert.equal(classify(503), "dead");
+        assert.equal(classify(451), "geo-blocked");
+        assert.equal(classify(403, "This content is not available in your country."), "geo-blocked");
+        assert.equal(classify(403, "", { "x-geo-blocked": "1" }), "geo-blocked");
+        assert.equal(classify(403, "Access denied: token expired"), "expired");
+        assert.equal(classify(410), "expired");
+        assert.equal(classify(403, "Forbidden"), "auth-required");
+        assert.equal(classify(401), "auth-required");
+
+        const now = Date.UTC(2026, 0, 1);
+        assert.equal(
+                classifyStreamResponse({ statusCode: 403, body: "", headers: {} }, { expiresAt: now - 1000, now }).status,
+                "expired"
+        );
+        assert.equal(
+                classifyStreamResponse({ statusCode: 403, body: "", headers: {} }, { expiresAt: now + 60000, now }).status,
+                "auth-required"
+        );
+});
+
+test("findNextHlsCheckTarget walks from a master playlist to its first segment", () => {
+        const master = [
+                "#EXTM3U",
+                '#EXT-X-STREAM-INF:BANDWIDTH=800000,RESOLUTION=640x360',
+                "low/index.m3u8",
+                "#EXT-X-STREAM-INF:BANDWIDTH=5000000,RESOLUTION=1920x1080",
+                "high/index.m3u8",
+        ].join("\n");
+        const media = ["#EXTM3U", "#EXT-X-TARGETDURATION:6", "#EXT-X-KEY:METHOD=NONE", "#EXTINF:6.0,", "seg-100.ts"].join(
+                "\n"
+        );
+
+        assert.deepEqual(findNextHlsCheckTarget(master, "https://cdn.example.com/live/master.m3u8"), {
+                type: "playlist",
+                url: "https://cdn.example.com/live/low/index.m3u8",
+        });
+        assert.deepEqual(findNextHlsCheckTarget(media, "https://cdn.example.com/live/low/index.m3u8"), {
+                type: "segment",
+                url: "https://cdn.example.com/live/low/seg-100.ts",
+        });
+        assert.equal(findNextHlsCheckTarget("#EXTM3U\n#EXT-X-ENDLIST\n", "https://cdn.example.com/a.m3u8"), null);
+});
+
+test("buildStreamHealthReport counts every status and marked streams keep their status in the M3U", () => {
+        const report = buildStreamHealthReport(
+                [
+                        { url: "https://cdn.example.com/a.m3u8", status: "alive", latencyMs: 40 },
+                        { url: "https://cdn.example.com/b.m3u8", status: "dead", reason: "status 404", latencyMs: 12 },
+                        { url: "acestream://0123456789abcdef0123456789abcdef01234567", status: "unchecked" },
+                ],
+                { deadStreams: "mark", now: Date.UTC(2026, 2, 1) }
+        );
+
+        assert.equal(report.generatedAt, "2026-03-01T00:00:00.000Z");
+        assert.equal(report.total, 3);
+        assert.deepEqual(report.summary, {
+                alive: 1,
+                dead: 1,
+                "geo-blocked": 0,
+                "auth-required": 0,
+                expired: 0,
+                unchecked: 1,
+        });
+        assert.equal(
+                buildM3uPlaylist([
+                        { name: "A", url: "https://cdn.example.com/a.m3u8", health: { status: "alive", latencyMs: 40 } },
+                        { name: "B", url: "https://cdn.example.com/b.m3u8", health: { status: "dead", latencyMs: 12 } },
+                ]),
+                "#EXTM3U\n" +
+                        "#EXTINF:-1,A\n" +
+                        "https://cdn.example.com/a.m3u8\n" +
+                        '#EXTINF:-1 x-stream-status="dead",B\n' +
+                        "https://cdn.example.com/b.m3u8\n"
+        );
+});
+
+test("Indexer health checks read only the first bytes of a live stream that never ends", { timeout: 10000 }, async () => {
+        const rangeHeaders = [];
+        const server = http.createServer((request, response) => {
+                if (request.url === "/list.m3u") {
+                        response.writeHead(200, { "Content-Type": "audio/x-mpegurl" });
+                        response.end(`#EXTM3U\n#EXTINF:-1,Live\nhttp://127.0.0.1:${server.address().port}/live.ts\n`);
+                        return;
+                }
+
+                // Ignores the Range header like many live TS origins and keeps sending packets.
+                rangeHeaders.push(request.headers.range);
+                response.writeHead(200, { "Content-Type": "video/mp2t" });
+                const timer = setInterval(() => response.write(Buffer.alloc(188 * 7, 0x47)), 5);
+                response.on("close", () => clearInterval(timer));
+        });
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+        const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+        try {
+                const startedAt = Date.now();
+                const result = await new Indexer({
+                        scraper: {
+                                urls: [`${baseUrl}/list.m3u`],
+                                checkStreams: true,
+                                requestPolicy: { timeoutMs: 60000, idleTimeoutMs: 60000 },
+                        },
+                }).run();
+
+                assert.ok(Date.now() - startedAt < 5000, "the check does not wait for the stream to end");
+                assert.deepEqual(rangeHeaders, ["bytes=0-1023"]);
+                assert.equal(result.health.summary.alive, 1);
+                assert.equal(result.channels[0].health.status, "alive");
+        } finally {
+                server.closeAllConnections();
+                await new Promise((resolve) => server.close(resolve));
+        }
+});
+
+test("Indexer checks streams in parallel and reports expired tokens on empty 403s", { timeout: 10000 }, async () => {
+        let active = 0;
+        let maxActive = 0;
+        const expiredAt = Math.floor(Date.now() / 1000) - 60;
+        const server = http.createServer((request, response) => {
+                const { port } = server.address();
+
+                if (request.url === "/list.m3u") {
+                        response.writeHead(200, { "Content-Type": "audio/x-mpegurl" });
+                        response.end(
+                                [
+                                        "#EXTM3U",
+                                        ...[1, 2, 3].map((n) => `#EXTINF:-1,Live ${n}\nhttp://127.0.0.1:${port}/live-${n}.ts`),
+                                        "#EXTINF:-1,Expired",
+                                        `http://127.0.0.1:${port}/old.ts?hdnea=exp=${expiredAt}~hmac=abc`,
+                                        "",
+                                ].join("\n")
+                        );
+                        return;
+                }
+
+                active += 1;
+                maxActive = Math.max(maxActive, active);
+                setTimeout(() => {
+                        active -= 1;
+                        response.writeHead(request.url.startsWith("/old.ts") ? 403 : 200, { "Content-Type": "video/mp2t" });
+                        response.end();
+                }, 100);
+        });
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+        try {
+                const result = await new Indexer({
+                        scraper: {
+                                urls: [`http://127.0.0.1:${server.address().port}/list.m3u`],
+                                checkStreams: true,
+                                deadStreams: "mark",
+                                concurrency: 4,
+                                perHostConcurrency: 4,
+                        },
+                }).run();
+
+                assert.ok(maxActive > 1, "streams are checked in parallel");
+                assert.deepEqual(
+                        result.channels.map((channel) => channel.health.status),
+                        ["alive", "alive", "alive", "expired"]
+                );
+        } finally {
+                await new Promise((resolve) => server.close(resolve));
+        }
+});
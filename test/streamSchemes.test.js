@@ -0,0 +1,97 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+
+const main = require("../main.js");
+
+const { Indexer, collectStreamUrlsFromString } = main;
+const { buildM3uPlaylist, resolveStreamSchemes } = main.__testables;
+
+const aceId = "0123456789abcdef0123456789abcdef01234567";
+
+test("collectStreamUrlsFromString accepts well-formed non-HTTP stream URLs", () => {
+        const text = [
+                `acestream://${aceId}`,
+                "rtmp://live.example.com/app/stream-key",
+                "rtmps://live.example.com:443/app/key",
+                "rtsp://cam.example.com:554/stream1",
+                "srt://srt.example.com:9000?streamid=live/one&mode=caller",
+                "udp://@239.0.0.1:1234",
+                "rtp://239.1.1.1:5004",
+        ].join(" ");
+
+        assert.deepEqual(collectStreamUrlsFromString(text), [
+                `acestream://${aceId}`,
+                "rtmp://live.example.com/app/stream-key",
+                "rtmps://live.example.com:443/app/key",
+                "rtsp://cam.example.com:554/stream1",
+                "srt://srt.example.com:9000?streamid=live/one&mode=caller",
+                "udp://@239.0.0.1:1234",
+                "rtp://239.1.1.1:5004",
+        ]);
+});
+
+test("collectStreamUrlsFromString applies per-scheme validation", () => {
+        assert.deepEqual(collectStreamUrlsFromString("acestream://not-a-content-id"), []);
+        assert.deepEqual(collectStreamUrlsFromString(`acestream://${aceId}ff`), []);
+        assert.deepEqual(collectStreamUrlsFromString("rtmp://live.example.com"), []);
+        assert.deepEqual(collectStreamUrlsFromString("srt://srt.example.com"), []);
+        assert.deepEqual(collectStreamUrlsFromString("udp://@239.0.0.1"), []);
+        assert.deepEqual(collectStreamUrlsFromString("https://example.com/page.html"), []);
+});
+
+test("resolveStreamSchemes keeps known schemes and reports unknown ones", () => {
+        assert.deepEqual(resolveStreamSchemes("https, acestream://, gopher"), {
+                schemes: ["https", "acestream"],
+                unknown: ["gopher"],
+        });
+        assert.ok(resolveStreamSchemes("").schemes.includes("rtmp"));
+});
+
+test("Indexer runs restrict stream schemes per run without affecting each other", async () => {
+        const body = `rtmp://live.example.com/app/key acestream://${aceId} https://cdn.example.com/live/index.m3u8`;
+        const server = http.createServer((request, response) => {
+                // Keep both runs in flight at the same time.
+                setTimeout(() => {
+                        response.writeHead(200, { "Content-Type": "text/plain" });
+                        response.end(body);
+                }, 20);
+        });
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+        const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+        try {
+                const [restricted, rtmpOnly] = await Promise.all([
+                        new Indexer({ scraper: { urls: [`${baseUrl}/a`], streamSchemes: ["https", "acestream"] } }).run(),
+                        new Indexer({ scraper: { urls: [`${baseUrl}/b`], streamSchemes: "rtmp" } }).run(),
+                ]);
+
+                assert.deepEqual(
+                        restricted.channels.map((channel) => channel.url),
+                        [`acestream://${aceId}`, "https://cdn.example.com/live/index.m3u8"]
+                );
+                assert.deepEqual(
+                        rtmpOnly.channels.map((channel) => channel.url),
+                        ["rtmp://live.example.com/app/key"]
+                );
+                assert.equal(collectStreamUrlsFromString(body).length, 3, "outside a run every scheme is allowed");
+        } finally {
+                await new Promise((resolve) => server.close(resolve));
+        }
+});
+
+test("buildM3uPlaylist writes non-HTTP URLs unchanged", () => {
+        const playlist = buildM3uPlaylist([
+                { name: "Ace", url: `acestream://${aceId}` },
+                { name: "Multicast", url: "udp://@239.0.0.1:1234" },
+        ]);
+
+        assert.equal(
+                playlist,
+                "#EXTM3U\n" +
+                        "#EXTINF:-1,Ace\n" +
+                        `acestream://${aceId}\n` +
+                        "#EXTINF:-1,Multicast\n" +
+                        "udp://@239.0.0.1:1234\n"
+        );
+});
@@ -0,0 +1,92 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const main = require("../main.js");
+
+const { parseStreamUrlExpiry, planExpiryRefresh, recordStalledExpiryRefreshes } = main.__testables;
+
+const expiresAt = Date.UTC(2026, 2, 1, 12, 0, 0);
+const seconds = expiresAt / 1000;
+
+test("parseStreamUrlExpiry reads Akamai, CloudFront, SigV4 and plain query tokens", () => {
+        assert.deepEqual(
+                parseStreamUrlExpiry(
+                        `https://tc-live.akamaized.net/hls/live/2001/master.m3u8?hdnea=st=${seconds - 3600}~exp=${seconds}~acl=/*~hmac=ab12`
+                ),
+                { expiresAt, format: "akamai" }
+        );
+        assert.deepEqual(
+                parseStreamUrlExpiry(
+                        `https://d111.cloudfront.net/live/index.m3u8?Expires=${seconds}&Signature=abc~def&Key-Pair-Id=K2JCJMDEHXQW5F`
+                ),
+                { expiresAt, format: "cloudfront" }
+        );
+
+        const policy = Buffer.from(
+                JSON.stringify({
+                        Statement: [{ Resource: "https://d111.cloudfront.net/live/*", Condition: { DateLessThan: { "AWS:EpochTime": seconds } } }],
+                })
+        )
+                .toString("base64")
+                .replace(/\+/g, "-")
+                .replace(/=/g, "_")
+                .replace(/\//g, "~");
+        assert.deepEqual(
+                parseStreamUrlExpiry(`https://d111.cloudfront.net/live/index.m3u8?Policy=${policy}&Signature=x&Key-Pair-Id=K`),
+                { expiresAt, format: "cloudfront" }
+        );
+
+        assert.deepEqual(
+                parseStreamUrlExpiry("https://bucket.s3.amazonaws.com/a.m3u8?X-Amz-Date=20260301T110000Z&X-Amz-Expires=3600"),
+                { expiresAt, format: "aws-sigv4" }
+        );
+        assert.deepEqual(parseStreamUrlExpiry(`https://cdn.example.com/live.m3u8?exp=${expiresAt}|Referer=x`), {
+                expiresAt,
+                format: "query",
+        });
+        assert.equal(parseStreamUrlExpiry("https://cdn.example.com/live.m3u8?expires=42"), null);
+        assert.equal(parseStreamUrlExpiry("acestream://0123456789abcdef0123456789abcdef01234567"), null);
+});
+
+test("planExpiryRefresh re-scrapes only the sources whose URLs expire first", () => {
+        const now = expiresAt - 6 * 3600 * 1000;
+        const links = [
+                { url: `https://a.example.com/1.m3u8?exp=${seconds}`, refreshSource: "https://a.example.com/" },
+                { url: `https://a.example.com/2.m3u8?exp=${seconds + 7200}`, refreshSource: "https://a.example.com/" },
+                { url: `https://b.example.com/1.m3u8?exp=${seconds + 30}`, refreshSource: "https://b.example.com/" },
+                { url: `https://c.example.com/1.m3u8?exp=${seconds + 7200}`, refreshSource: "https://c.example.com/" },
+                { url: "https://d.example.com/static.m3u8", refreshSource: "https://d.example.com/" },
+        ];
+
+        assert.deepEqual(planExpiryRefresh(links, { refreshBeforeMs: 600000, now }), {
+                refreshAt: expiresAt - 600000,
+                sources: ["https://a.example.com/", "https://b.example.com/"],
+        });
+        assert.equal(planExpiryRefresh(links.slice(4), { refreshBeforeMs: 600000, now }), null);
+        assert.equal(
+                planExpiryRefresh(links, { refreshBeforeMs: 600000, now: expiresAt }).refreshAt,
+                expiresAt + 60000,
+                "already expired URLs still wait for the minimum refresh interval"
+        );
+});
+
+test("planExpiryRefresh backs off and then drops a source whose expiry does not move forward", () => {
+        const source = "https://a.example.com/";
+        const stale = [{ url: `https://a.example.com/1.m3u8?exp=${seconds}`, refreshSource: source }];
+        const previousExpiry = new Map([[source, expiresAt]]);
+        const stalledSources = new Map();
+
+        recordStalledExpiryRefreshes(stalledSources, [source], previousExpiry, stale);
+        assert.equal(
+                planExpiryRefresh(stale, { refreshBeforeMs: 600000, now: expiresAt, stalledSources }).refreshAt,
+                expiresAt + 120000
+        );
+
+        recordStalledExpiryRefreshes(stalledSources, [source], previousExpiry, stale);
+        recordStalledExpiryRefreshes(stalledSources, [source], previousExpiry, stale);
+        assert.equal(planExpiryRefresh(stale, { refreshBeforeMs: 600000, now: expiresAt, stalledSources }), null);
+
+        const renewed = [{ url: `https://a.example.com/1.m3u8?exp=${seconds + 3600}`, refreshSource: source }];
+        recordStalledExpiryRefreshes(stalledSources, [source], previousExpiry, renewed);
+        assert.equal(stalledSources.has(source), false);
+});